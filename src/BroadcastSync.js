@@ -0,0 +1,116 @@
+/**
+ * Synchronize several cache instances, e.g. in different browser tabs, over a BroadcastChannel.
+ *
+ *     const sync = new BroadcastSync(cache, "my-app-cache")
+ *     // ... later
+ *     sync.close()
+ *
+ * Every `put()`, delete and expiry in one cache is broadcast with its normalized path, value and TTL.
+ * The other instances apply these changes to their own cache. Changes that are applied from the channel
+ * are not broadcast again, so there are no echo loops. Expired values are deleted in the other instances.
+ *
+ * Values must be serializable with the structured clone algorithm, i.e. they cannot contain functions.
+ */
+class BroadcastSync {
+	/**
+	 * Start to synchronize cache over channel.
+	 * @param {PopulatingCache} cache the cache instance to synchronize
+	 * @param {Object|String} channel a BroadcastChannel (or any object with `postMessage` and `addEventListener`/`onmessage`)
+	 *   or the name of a BroadcastChannel that will be created (default "populating-cache")
+	 */
+	constructor(cache, channel = "populating-cache") {
+		if (!cache) throw new Error("BroadcastSync needs a cache")
+		if (typeof channel === "string") {
+			// eslint-disable-next-line no-undef
+			if (typeof BroadcastChannel !== "function") throw new Error("BroadcastChannel is not available. Pass a channel instead.")
+			// eslint-disable-next-line no-undef
+			channel = new BroadcastChannel(channel)
+			this.ownsChannel = true
+		}
+		if (!channel || typeof channel.postMessage !== "function") throw new Error("BroadcastSync needs a channel with postMessage()")
+		this.cache = cache
+		this.channel = channel
+		// Random id of this instance, so that our own messages can be ignored if the transport sends them back to us
+		this.senderId = Math.random().toString(36).substring(2) + Date.now().toString(36)
+		// true while a change from the channel is applied. Such changes are not broadcast again.
+		this.applying = false
+
+		this.subscription = cache.subscribe("", {
+			onPut: (path, value, oldValue, normalizedPath) => {
+				this.broadcast("put", normalizedPath, this.storedValue(normalizedPath, value))
+			},
+			onDelete: (path, deletedValue, normalizedPath) => this.broadcast("delete", normalizedPath),
+			onExpire: (path, expiredValue, normalizedPath) => this.broadcast("expire", normalizedPath),
+		})
+		this.messageHandler = (event) => this.receive(event && event.data)
+		if (typeof channel.addEventListener === "function") channel.addEventListener("message", this.messageHandler)
+		else channel.onmessage = this.messageHandler
+	}
+
+	/** Stop synchronizing. A channel that was created by this instance is closed. */
+	close() {
+		this.cache.unsubscribe(this.subscription)
+		if (typeof this.channel.removeEventListener === "function") this.channel.removeEventListener("message", this.messageHandler)
+		else this.channel.onmessage = null
+		if (this.ownsChannel && typeof this.channel.close === "function") this.channel.close()
+	}
+
+	/** Send one change of our cache to the other instances */
+	broadcast(type, path, value) {
+		if (this.applying) return
+		const message = { source: "populating-cache", senderId: this.senderId, type, path }
+		if (type === "put") {
+			message.value = value
+			const metadata = this.isAppend(path) ? undefined : this.ttlMetadata(path)
+			if (metadata) message.ttl = metadata.ttl
+		}
+		try {
+			this.channel.postMessage(message)
+		} catch(err) {
+			console.warn("BroadcastSync cannot send change of " + JSON.stringify(path) + ": " + err)
+		}
+	}
+
+	/** Apply a change from another instance to our cache */
+	receive(message) {
+		if (!message || message.source !== "populating-cache" || message.senderId === this.senderId) return
+		this.applying = true
+		try {
+			if (message.type === "put") {
+				// The message contains the complete stored value. It replaces the value of the receiver, also when merge is configured.
+				const options = { merge: false }
+				if (message.ttl !== undefined) options.ttl = message.ttl - Date.now()
+				this.cache.put(message.path, message.value, options)
+			} else if (message.type === "delete" || message.type === "expire") {
+				this.cache.delete(message.path)
+			}
+		} catch(err) {
+			console.warn("BroadcastSync cannot apply change of " + JSON.stringify(message.path) + ": " + err)
+		} finally {
+			this.applying = false
+		}
+	}
+
+	/**
+	 * The value that is now stored at path. With `merge` this is more than the value that was passed to `put()`.
+	 * Values that were appended with "array[]" are stored as they are.
+	 */
+	storedValue(path, putValue) {
+		if (this.isAppend(path)) return putValue
+		const elem = this.cache.findElem(this.cache.parsePath(path))
+		return elem ? elem.value : putValue
+	}
+
+	/** Metadata with the TTL of the value at path */
+	ttlMetadata(path) {
+		const metadata = this.cache.getMetadata(path)
+		return metadata && metadata.ttl !== undefined ? metadata : undefined
+	}
+
+	/** Was the value at path appended with "array[]"? */
+	isAppend(path) {
+		return path.some(el => typeof el === "string" && el.endsWith("[]"))
+	}
+}
+
+export default BroadcastSync
@@ -0,0 +1,35 @@
+import fs from "fs"
+
+/**
+ * Storage adapter for NodeJS that stores the cache as a JSON file.
+ * The file is read synchronously when the cache is created and written asynchronously.
+ * See `StorageAdapters.js` for the adapter interface.
+ */
+class FileStorageAdapter {
+	/**
+	 * @param {String} filePath path of the JSON file. The file will be created if necessary. Its directory must exist.
+	 */
+	constructor(filePath) {
+		if (!filePath) throw new Error("FileStorageAdapter needs a filePath")
+		this.filePath = filePath
+	}
+
+	load() {
+		if (!fs.existsSync(this.filePath)) return undefined
+		return JSON.parse(fs.readFileSync(this.filePath, "utf8"))
+	}
+
+	save(state) {
+		return new Promise((resolve, reject) => {
+			fs.writeFile(this.filePath, JSON.stringify(state), "utf8", err => err ? reject(err) : resolve())
+		})
+	}
+
+	clear() {
+		return new Promise((resolve, reject) => {
+			fs.unlink(this.filePath, err => err && err.code !== "ENOENT" ? reject(err) : resolve())
+		})
+	}
+}
+
+export default FileStorageAdapter
@@ -0,0 +1,169 @@
+import PopulatingCache from "./PopulatingCache"
+import { defaultFetch } from "./RestFetcher"
+
+/**
+ * A fetchFunc for GraphQL backends
+ *
+ * `createGraphQLFetcher()` returns a function that can directly be used as `fetchFunc` of a cache.
+ * It turns the requested path into a GraphQL query, POSTs it to the endpoint and unwraps the response data,
+ * so that it can be PUT into the cache under that path.
+ *
+ *     const cache = new PopulatingCache({
+ *       fetchFunc: createGraphQLFetcher({
+ *         endpoint: "https://api.example.com/graphql",
+ *         idField: "id",
+ *         collections: {
+ *           posts: { byId: "post", all: "posts", fields: "title text", refs: { createdBy: "users", comments: "comments" } },
+ *           users: { byId: "user", fields: "name email" },
+ *           comments: { byId: "comment", fields: "text", refs: { author: "users" } },
+ *         }
+ *       })
+ *     })
+ *
+ * `[{posts: 5}]` is then fetched with `query($id0: ID!) { post(id: $id0) { id title text createdBy { id } comments { id } } }`.
+ * Fields listed in `refs` are only queried with their id. They are returned as DBrefs, e.g. `createdBy: { $refPath: [{users: 42}] }`,
+ * and the cache populates them from its own content or with further backend calls.
+ *
+ * Path elements after the first one are queried as fields of their parent, e.g. `[{posts: 5}, {comments: 7}]` is
+ * `post(id: $id0) { comments(id: $id1) { id text author { id } } }`
+ * and `[{posts: 5}, "createdBy"]` is `post(id: $id0) { createdBy { id } }`.
+ * Array indexes like "posts[3]" cannot be fetched.
+ */
+
+/**
+ * Create a fetchFunc that queries values from a GraphQL backend
+ * @param {Object} options
+ * @param {String} options.endpoint URL of the GraphQL endpoint
+ * @param {Function} options.fetch implementation of the Fetch API (default: the global `fetch`)
+ * @param {Object|Function} options.headers HTTP headers for every request or a function `headers(path)` that returns (a Promise of) them
+ * @param {Object} options.collections configuration per collection (the key in the path), each with these optional properties:
+ *    - `fields` selection of the fields, e.g. "title text tags { name }"
+ *    - `refs` fields that reference other collections, e.g. `{ createdBy: "users" }`. They are queried as ids and returned as DBrefs.
+ *    - `byId` name of the query field for one element by id (default: the collection key)
+ *    - `all` name of the query field for the whole collection (default: the collection key)
+ *    - `idArg` name of the id argument (default "id")
+ *    - `idType` GraphQL type of the id argument (default "ID!")
+ * @param {String} options.idAttr name of the id attribute in the cache (default "_id")
+ * @param {String} options.idField name of the id field in the GraphQL schema (default: same as idAttr)
+ * @param {String} options.referencedPathAttr name of the attribute that marks a DBref (default "$refPath")
+ * @returns {Function} `fetchFunc(path)` that returns a Promise of the unwrapped value.
+ *   `fetchFunc.buildQuery(path)` returns the `{ query, variables }` that would be sent for path.
+ * @throws when endpoint or fetch is missing
+ */
+let createGraphQLFetcher = function({
+	endpoint,
+	fetch = defaultFetch(),
+	headers = {},
+	collections = {},
+	idAttr = "_id",
+	idField = idAttr,
+	referencedPathAttr = "$refPath",
+} = {}) {
+	if (!endpoint) throw new Error("createGraphQLFetcher needs an endpoint")
+	if (typeof fetch !== "function") throw new Error("createGraphQLFetcher needs a fetch implementation, e.g. window.fetch")
+	const config = { collections, idAttr, idField, referencedPathAttr }
+
+	const fetcher = async (path) => {
+		const request = buildRequest(PopulatingCache.parsePath(path), config)
+		const requestHeaders = typeof headers === "function" ? await headers(path) : headers
+		const res = await fetch(endpoint, {
+			method: "POST",
+			headers: { "Content-Type": "application/json", Accept: "application/json", ...requestHeaders },
+			body: JSON.stringify({ query: request.query, variables: request.variables }),
+		})
+		if (!res.ok) throw new Error(`GraphQL request to ${endpoint} failed with HTTP status ${res.status} ${res.statusText || ""}`.trim())
+		const json = await res.json()
+		if (json.errors && json.errors.length > 0) {
+			throw new Error("GraphQL error: " + json.errors.map(err => err.message).join(", "))
+		}
+		return request.unwrap(json.data)
+	}
+	fetcher.buildQuery = (path) => {
+		const { query, variables } = buildRequest(PopulatingCache.parsePath(path), config)
+		return { query, variables }
+	}
+	return fetcher
+}
+
+/**
+ * Build the GraphQL query for parsedPath
+ * @returns {Object} `{ query, variables, unwrap(data) }`. unwrap() extracts the value at parsedPath from the response data.
+ */
+let buildRequest = function(parsedPath, config) {
+	const variables = {}
+	const variableDefs = []
+	const queryFields = []   // e.g. "post(id: $id0)"
+	const fieldNames = []    // e.g. "post"
+	let collectionName = parsedPath[0].key
+	let refCollection   // set when the leaf is a reference to this collection
+
+	parsedPath.forEach((el, i) => {
+		if (el.index !== undefined) throw new Error(`Cannot query array indexes with GraphQL: ${el.key}[${el.index}]`)
+		const parentConf = config.collections[collectionName] || {}
+		if (i > 0) {
+			const refTarget = parentConf.refs && parentConf.refs[el.key]
+			if (refTarget && i === parsedPath.length - 1 && el.id === undefined) refCollection = refTarget
+			collectionName = refTarget || el.key
+		}
+		const conf = config.collections[collectionName] || {}
+		let field = el.key
+		if (i === 0) field = el.id !== undefined ? conf.byId || el.key : conf.all || el.key
+		fieldNames.push(field)
+		if (el.id !== undefined) {
+			variables["id" + i] = el.id
+			variableDefs.push(`$id${i}: ${conf.idType || "ID!"}`)
+			field += `(${conf.idArg || "id"}: $id${i})`
+		}
+		queryFields.push(field)
+	})
+
+	const leafConf = refCollection ? undefined : config.collections[collectionName]
+	let selection = refCollection ? `{ ${config.idField} }` : leafConf ? `{ ${entitySelection(leafConf, config)} }` : ""
+	for (let i = queryFields.length - 1; i >= 0; i--) {
+		selection = `${queryFields[i]}${selection ? " " + selection : ""}`
+		if (i > 0) selection = `{ ${selection} }`
+	}
+	const query = `query${variableDefs.length > 0 ? "(" + variableDefs.join(", ") + ")" : ""} { ${selection} }`
+
+	const unwrap = (data) => {
+		let value = data
+		for (let i = 0; i < fieldNames.length && value !== undefined && value !== null; i++) value = value[fieldNames[i]]
+		if (refCollection) return mapValue(value, item => toDBref(item, refCollection, config))
+		if (leafConf) return mapValue(value, item => toEntity(item, leafConf, config))
+		return value
+	}
+	return { query, variables, unwrap }
+}
+
+/** Selection of the id, the configured fields and the ids of the referenced entities */
+let entitySelection = function(conf, config) {
+	const refs = Object.keys(conf.refs || {}).map(refField => `${refField} { ${config.idField} }`)
+	return [config.idField, conf.fields, ...refs].filter(part => part).join(" ")
+}
+
+/** Convert an entity from the GraphQL response into the form that is stored in the cache */
+let toEntity = function(item, conf, config) {
+	if (!item || typeof item !== "object") return item
+	const entity = { ...item }
+	if (config.idField !== config.idAttr && entity[config.idField] !== undefined) {
+		entity[config.idAttr] = entity[config.idField]
+		delete entity[config.idField]
+	}
+	Object.keys(conf.refs || {}).forEach(refField => {
+		if (entity[refField] !== undefined) entity[refField] = mapValue(entity[refField], ref => toDBref(ref, conf.refs[refField], config))
+	})
+	return entity
+}
+
+/** Convert `{ id: 42 }` into a DBref `{ $refPath: [{ users: 42 }] }` */
+let toDBref = function(ref, collectionName, config) {
+	if (!ref || typeof ref !== "object") return ref
+	return { [config.referencedPathAttr]: [{ [collectionName]: ref[config.idField] }] }
+}
+
+/** Apply fn to value or to each item when value is an array */
+let mapValue = function(value, fn) {
+	return Array.isArray(value) ? value.map(fn) : fn(value)
+}
+
+export { createGraphQLFetcher }
@@ -19,8 +19,47 @@ class PopulatingCache {
 		this.cacheData = {}
 		this.cacheMetadata = {}
 
+		// TTLs by path pattern as a list of { pattern, ttl }. The first matching rule wins.
+		this.ttlRules = parseTtlRules(this.config.ttlRules)
+
+		// Time of the latest access to a value in the cache. Used to evict the least recently used values.
+		this.lastAccessStamp = 0
+
+		// Number of entries and approximate size of the cache as `{ entries, bytes }`, updated on every change once a size limit
+		// has been checked. Undefined while it has not been measured yet, e.g. after the whole content has been replaced.
+		this.usage = undefined
+
 		// Listeners that will be notified on changes
 		this.listeners = []
+		this.nextListenerId = 0
+
+		// Reverse index of the DBrefs in the cache, keyed by the JSON of the DBref's normalized path: `{ referrer, target }` parsed paths
+		this.refIndex = new Map()
+
+		// Events that are deferred until the currently running transaction commits (undefined when there is no transaction)
+		this.transactionEvents = undefined
+
+		// Writes that wait to be sent to the backend in write-behind mode, keyed by their normalized path
+		this.writeQueue = new Map()
+		this.writeTimer = undefined
+
+		// Counters for getStats()
+		this.stats = emptyStats()
+
+		// Promises of backend calls that are currently in flight, keyed by their normalized path
+		this.pendingFetches = {}
+
+		// Failed backend calls for values that have no metadata to remember them in, keyed by their normalized path: `{ error, until }`
+		this.fetchFailures = new Map()
+
+		// Restore cacheData and cacheMetadata from the storage adapter (if one is configured).
+		// `ready` resolves when the stored values have been loaded.
+		this.persistTimer = undefined
+		this.ready = this.hydrate()
+
+		// Regularly delete expired elements (if configured)
+		this.sweepTimer = undefined
+		if (this.config.sweepIntervalMs > 0) this.startSweeper()
 
 		// CONSTANTS
 		// always call backend for fresh value
@@ -31,12 +70,19 @@ class PopulatingCache {
 
 		// do not call the backend for this get() call. This is used to check if a value is already in the cache.
 		this.DO_NOT_CALL_BACKEND = -1
+
+		// immediately return expired values that are still in the cache and refresh them from the backend in the background
+		this.STALE_WHILE_REVALIDATE = 2
 	}
 
 	/**
 	 * Cache `value` under the given `path` in this cache. The value may then be retrieved back with a call to `get(path)`.
 	 * All intermediate objects along the path will be created in the cache if necessary.
-	 * Then `value` is stored as the leaf at the end of path with the given `ttl` or the configured `defaultTTLms`.
+	 * Then `value` is stored as the leaf at the end of path with the given `ttl`. Without a `ttl` option the TTL of the
+	 * first matching `ttlRules` pattern is used, or else the configured default `ttl`.
+	 *
+	 * With the `freeze` option `value` is deep-frozen before it is stored. Containers along the path that are frozen
+	 * are replaced by (frozen) shallow copies, so that references you received earlier never change.
 	 *
 	 * @param {Array} path path under which the `value` shall be stored in the cache
 	 * @param {Any} value The value to store in the cache.
@@ -48,6 +94,14 @@ class PopulatingCache {
 		let metadataElem = this.cacheMetadata || {}
 		let opts = { ...this.config, ...options }
 		const parsedPath = this.parsePath(path)
+		if (!options || options.ttl === undefined) {
+			const rule = findTtlRule(this.ttlRules, parsedPath)
+			if (rule) opts.ttl = rule.ttl
+		}
+
+		// Frozen containers along path are replaced by copies. These are frozen again after the value has been stored.
+		const refreeze = []
+		const accessStamp = this.nextAccessStamp()
 
 		// Walk along path and insert intermediate objects as necessary
 		for (let i = 0; i < parsedPath.length; i++) {
@@ -60,26 +114,27 @@ class PopulatingCache {
 			if (key && index === undefined && id === undefined && !appendArray) {
 				if (i < parsedPath.length - 1) {
 					// then step into that key in the cache. Create object if necessary.
-					cacheElem    = cacheElem[key]    || (cacheElem[key] = {}) 
+					cacheElem    = stepInto(cacheElem, key, {}, refreeze, opts.freeze)
 					metadataElem = metadataElem[key] || (metadataElem[key] = {})
 				} else {
 					// If this is the last element in path, then store value in the cache
 					// If value is an object and merge === true, then only merge properties from value into current cacheElem[key]
-					if (opts.merge && typeof value === "object") {
-						cacheElem[key] = {...cacheElem[key], ...value}
-					} else {
-						cacheElem[key] = value
-					}
+					const oldValue = cacheElem[key]
+					const oldMetadata = metadataElem[key]
+					cacheElem[key] = mergeValue(oldValue, value, opts)
 					metadataElem[key] = {
 						ttl: Date.now() + opts.ttl,
 						type: typeof value,
+						lastAccess: accessStamp,
 					}
-					this.firePutEvent(path, value, parsedPath)
+					this.trackUsage(key, oldValue, cacheElem[key], oldMetadata, metadataElem[key])
+					this.indexRefs(parsedPath)
+					this.firePutEvent(path, value, parsedPath, oldValue)
 				}
 			}
 			// If path[i] was in the form "array[]", then append value to that array
 			else if (key && index === undefined && id === undefined && appendArray) {
-				if (!cacheElem[key]) cacheElem[key] = [] // create array in cache if necessary
+				const cacheArray = stepInto(cacheElem, key, [], refreeze, opts.freeze) // create array in cache if necessary
 				if (!metadataElem[key]) metadataElem[key] = []
 				if (i < parsedPath.length - 1) {
 					throw new Error('"appendArray[]" is only allowed as the last element of path in PUT()')
@@ -88,49 +143,55 @@ class PopulatingCache {
 					//     an object or another array? This depends on the next elem in path
 				} else {
 					// If this is the last element in path, then append value to end of this array
-					if (!Array.isArray(cacheElem[key]))
+					if (!Array.isArray(cacheArray))
 						throw new Error("Cannot append to array. Last element in path is not an array.")
-					cacheElem[key].push(value)
+					cacheArray.push(opts.freeze ? deepFreeze(value) : value)
 					metadataElem[key].push({
 						ttl: Date.now() + opts.ttl,
 						type: typeof value,
+						lastAccess: accessStamp,
 					})
+					this.trackUsage(cacheArray.length - 1, undefined, value, undefined, metadataElem[key][cacheArray.length - 1])
+					this.indexRefs([...parsedPath.slice(0, -1), itemPathElem(key, value, cacheArray.length - 1, opts.idAttr)])
 					this.firePutEvent(path, value, parsedPath)
 				}
 			}
 			// If path[i] is an string that defines an array element "key[index]" then step into it.
 			else if (key && index >= 0 && id === undefined) {
-				if (!cacheElem[key]) cacheElem[key] = [] // create array in cache if necessary
+				const cacheArray = stepInto(cacheElem, key, [], refreeze, opts.freeze) // create array in cache if necessary
 				if (!metadataElem[key]) metadataElem[key] = []
 				if (i < parsedPath.length - 1) {
-					cacheElem    = cacheElem[key][index]    || (cacheElem[key][index] = {})
+					cacheElem    = stepInto(cacheArray, index, {}, refreeze, opts.freeze)
 					metadataElem = metadataElem[key][index] || (metadataElem[key][index] = {})
 				} else {
 					// if this is the last element in the  path, then set the value as this array element
-					if (opts.merge && typeof value === "object") {
-						cacheElem[key][index] = {...cacheElem[key][index], ...value}
-					} else {
-						cacheElem[key][index] = value 
-					}
+					const oldValue = cacheArray[index]
+					const oldMetadata = metadataElem[key][index]
+					this.unindexRefs(resolveIndexes(this.cacheData, parsedPath, opts.idAttr))  // DBrefs of the replaced item
+					cacheArray[index] = mergeValue(oldValue, value, opts)
 					metadataElem[key][index] = {
 						ttl: Date.now() + opts.ttl,
 						type: typeof value,
+						lastAccess: accessStamp,
 					}
-					this.firePutEvent(path, value, parsedPath)
+					this.trackUsage(index, oldValue, cacheArray[index], oldMetadata, metadataElem[key][index])
+					this.indexRefs(parsedPath)
+					this.firePutEvent(path, value, parsedPath, oldValue)
 				}
 			}
 			// If path[i] is "key/id" or {key:id}, then find the element from "key"-array with a matching _id and step into it.
 			else if (key && index === undefined && id) {
-				const cacheArray = cacheElem[key] || (cacheElem[key] = []) // create array in cache if necessary
+				const cacheArray = stepInto(cacheElem, key, [], refreeze, opts.freeze) // create array in cache if necessary
 				if (!metadataElem[key]) metadataElem[key] = []
-				index = cacheArray.findIndex((el) => el[opts.idAttr] === id)   // type of ID must also match!
+				index = cacheArray.findIndex((el) => el && el[opts.idAttr] === id)   // type of ID must also match!
 				// If "key"-array does not have an element with that _id, then add a new element to the array.
-				if (index === -1) {
+				const isNewItem = index === -1
+				if (isNewItem) {
 					cacheArray.push({ [opts.idAttr]: id })
 					index = cacheArray.length - 1
 				}
 				if (i < parsedPath.length - 1) {
-					cacheElem    = cacheElem[key][index]
+					cacheElem    = stepInto(cacheArray, index, {}, refreeze, opts.freeze)
 					metadataElem = metadataElem[key][index] || (metadataElem[key][index] = {[opts.idAttr]: id})
 				} else {
 					// If value is not an object then wrap it in an object and add id, so that we can receive it back under that path.
@@ -147,22 +208,26 @@ class PopulatingCache {
 							`at path ${JSON.stringify(path)}. I added ${opts.idAttr}=${id}`)
 						value[opts.idAttr] = id
 					}
-					if (opts.merge && typeof value === "object") {
-						cacheElem[key][index] = {...cacheElem[key][index], ...value}
-					} else {
-						cacheElem[key][index] = value 
-					}
+					const oldValue = isNewItem ? undefined : cacheArray[index]
+					const oldMetadata = metadataElem[key][index]
+					cacheArray[index] = mergeValue(oldValue, value, opts)
 					metadataElem[key][index] = {
 						[opts.idAttr]: id,
 						ttl: Date.now() + opts.ttl,
 						type: typeof value,
+						lastAccess: accessStamp,
 					}
-					this.firePutEvent(path, value, parsedPath)
+					this.trackUsage(index, oldValue, cacheArray[index], oldMetadata, metadataElem[key][index])
+					this.indexRefs(parsedPath)
+					this.firePutEvent(path, value, parsedPath, oldValue)
 				}
 			} else {
 				throw Error(`Invalid path element ${i}: ${JSON.stringify(parsedPath[i])}`)
 			}
 		}
+		refreeze.forEach(container => Object.freeze(container))
+		this.evictLeastRecentlyUsed(accessStamp)
+		this.schedulePersist()
 		return this
 	}
 
@@ -183,15 +248,20 @@ class PopulatingCache {
 	 *     For example: [{posts:5}, {comments:42}] is the comment with id 42 of the post with id 5
 	 *     For a REST backend this can be translated to the REST resource at  /posts/5/comments/42
 	 * @param {Object} options Override default options, e.g. force call to backend or do not populate.
+	 * @param {Array} refChain internal: the referenced paths that are currently being populated. Used to detect circular DBrefs.
 	 * @returns (A Promise that resolves to) the fetched value. Either directly from the cache or from the backend.
 	 * @rejects When the value couldn't be fetched or there was an API error in your backend.
 	 */
-	async get(path, options) {
+	async get(path, options, refChain = []) {
 		let cacheElem = this.cacheData || {}
 		let metadataElem = this.cacheMetadata || {}
 		let opts = {...this.config, ...options}
 		if (typeof opts.fetchFunc !== "function") return Promise.reject("Need fetchFunc to fetch value at path="+JSON.stringify(path))
 		const parsedPath = this.parsePath(path)
+		// DBrefs along path are always resolved. A list of property paths in opts.populate only applies to the returned value.
+		const refOpts = Array.isArray(opts.populate) ? {...opts, populate: true} : opts
+		// The chain of DBrefs that have been resolved to reach the current element. It starts with the requested path itself.
+		let pathChain = refChain.length > 0 ? refChain : [JSON.stringify(this.getSubPath(parsedPath))]
 
 		// Walk along parsedPath try to find the value and the end of it.
 		for (let i = 0; i < parsedPath.length; i++) {
@@ -206,16 +276,21 @@ class PopulatingCache {
 				if (!cacheElem) break 
 				// If cacheElem is a DBref, then (try to) populate it.
 				if (opts.populate && cacheElem[opts.referencedPathAttr]) {
-					cacheElem = await this.get(
-						cacheElem[opts.referencedPathAttr], // path to referenced element in the cache
-						opts
-					)
+					const chain = this.extendRefChain(cacheElem[opts.referencedPathAttr], pathChain, opts)
+					if (chain) {
+						cacheElem = await this.get(
+							cacheElem[opts.referencedPathAttr], // path to referenced element in the cache
+							refOpts,
+							chain
+						)
+						pathChain = chain
+					}
 				}
-				// If this cacheElem is expired then fetch it from the backend.
+				// If this (intermediate) cacheElem is expired then fetch it from the backend. The leaf is checked after the loop.
 				// This will PUT the returned value back into the cache with an updated TTL.
 				if (metadataElem && metadataElem[key]) {
-					if (metadataElem[key].ttl < Date.now()) {
-						cacheElem = await this.fetchIfExpired(this.getSubPath(parsedPath,0,i+1), undefined, undefined, opts)
+					if (i < parsedPath.length - 1 && metadataElem[key].ttl < Date.now()) {
+						cacheElem = await this.fetchIfExpired(this.getSubPath(parsedPath,0,i+1), cacheElem, metadataElem[key], opts)
 						//We cannot simply call this.fetchFunc(path, i), because we need the logic in fetchIfExpired, 
 						//e.g. reject when opts.DO_NOT_CALL_BACKEND and PUT the received value back into the cahge
 					}
@@ -224,36 +299,48 @@ class PopulatingCache {
 			}
 			// If path[i] is a string that defines an array element "array[<number>]" then step into that array element.
 			else if (key && index >= 0 && id === undefined) {
-				cacheElem = cacheElem[key][index]
+				cacheElem = cacheElem[key] ? cacheElem[key][index] : undefined
 				if (!cacheElem) break
 				if (opts.populate && cacheElem[opts.referencedPathAttr]) {
-					cacheElem = await this.get(
-						cacheElem[opts.referencedPathAttr],		// path to referenced element in the cache
-						opts
-					)
+					const chain = this.extendRefChain(cacheElem[opts.referencedPathAttr], pathChain, opts)
+					if (chain) {
+						cacheElem = await this.get(
+							cacheElem[opts.referencedPathAttr],		// path to referenced element in the cache
+							refOpts,
+							chain
+						)
+						pathChain = chain
+					}
 				}
 				if (metadataElem && metadataElem[key] && metadataElem[key][index]) {
-					if (metadataElem[key][index].ttl < Date.now()) {
-						cacheElem = await this.fetchIfExpired(this.getSubPath(parsedPath,0,i+1), undefined, undefined, opts)
+					if (i < parsedPath.length - 1 && metadataElem[key][index].ttl < Date.now()) {
+						cacheElem = await this.fetchIfExpired(this.getSubPath(parsedPath,0,i+1), cacheElem, metadataElem[key][index], opts)
 					}
 					metadataElem = metadataElem[key][index]
 				}
 			}
 			// If path[i] was "key/id" or {key:id}, then find the element from "key"-array with a matching _id and step into it.
 			else if (key && index === undefined && id) {
-				if (!cacheElem[key]) break
-				index = cacheElem[key].findIndex((el) => el[opts.idAttr] == id) // eslint-disable-line no-shadow
-				if (index === -1) break // if there is no element with a matching _id, then immideately try to query for the full path
+				index = cacheElem[key] ? cacheElem[key].findIndex((el) => el && el[opts.idAttr] == id) : -1 // eslint-disable-line no-shadow
+				if (index === -1) { // if there is no element with a matching _id, then immideately try to query for the full path
+					cacheElem = undefined
+					break
+				}
 				cacheElem = cacheElem[key][index]
 				if (opts.populate && cacheElem[opts.referencedPathAttr]) {
-					cacheElem = await this.get(
-						cacheElem[opts.referencedPathAttr],		// path to referenced element in the cache
-						opts
-					)
+					const chain = this.extendRefChain(cacheElem[opts.referencedPathAttr], pathChain, opts)
+					if (chain) {
+						cacheElem = await this.get(
+							cacheElem[opts.referencedPathAttr],		// path to referenced element in the cache
+							refOpts,
+							chain
+						)
+						pathChain = chain
+					}
 				}
 				if (metadataElem && metadataElem[key] && metadataElem[key][index]) {
-					if (metadataElem[key][index].ttl < Date.now()) {
-						cacheElem = await this.fetchIfExpired(this.getSubPath(parsedPath,0,i+1), undefined, undefined, opts)
+					if (i < parsedPath.length - 1 && metadataElem[key][index].ttl < Date.now()) {
+						cacheElem = await this.fetchIfExpired(this.getSubPath(parsedPath,0,i+1), cacheElem, metadataElem[key][index], opts)
 					}
 					metadataElem = metadataElem[key][index]
 				}
@@ -264,7 +351,14 @@ class PopulatingCache {
 
 		// Check if cacheElem is expired. Return it or fetch it from the backend if necessary or forced by options
 		// BUGFIX: Don't simply pass `path`. Instead pass the normalized path.
-		return this.fetchIfExpired(this.getSubPath(parsedPath,0,parsedPath.length), cacheElem, metadataElem, opts)
+		this.recordAccess(metadataElem)
+		let result = await this.fetchIfExpired(this.getSubPath(parsedPath,0,parsedPath.length), cacheElem, metadataElem, opts)
+		if (Array.isArray(opts.populate)) {
+			const populateOpts = await this.prefetchPopulated(result, opts.populate, opts, pathChain)
+			result = await this.populateProps(result, opts.populate, populateOpts, pathChain,
+				(refPath, chain) => this.get(refPath, {...populateOpts, populate: true, returnClones: false}, chain))
+		}
+		return opts.returnClones ? deepClone(result) : result
 	}
 
 	/**
@@ -277,6 +371,9 @@ class PopulatingCache {
 	 * When the backend is called, then the returned value is also PUT() back into the cache
 	 * with and updated TTL.
 	 *
+	 * With opts.callBackend === STALE_WHILE_REVALIDATE an expired cacheElem is returned immediately.
+	 * The backend is then called in the background. Subscribers are notified when the fresh value has been PUT into the cache.
+	 *
 	 * @param {Array} path The full path to cacheElem
 	 * @param {Any} cacheElem the leaf element at the end of path or undefined if not in the cache yet
 	 * @param {Object} metadata metadata for cacheElem
@@ -285,29 +382,182 @@ class PopulatingCache {
 	 * @rejects When element is not in the cache and opts.callBackend === DO_NOT_CALL_BACKEND
 	 */
 	async fetchIfExpired(path, cacheElem, metadata, opts) {
+		const expired = !!(metadata && metadata.ttl < Date.now())
+		if (opts.callBackend !== this.FORCE_BACKEND_CALL) {
+			this.recordStat(!cacheElem && !expired ? "misses" : expired ? "expiredHits" : "hits", path)
+		}
 		switch(opts.callBackend) {
 		case this.FORCE_BACKEND_CALL:
-			return opts.fetchFunc(path).then((res) => {
-				this.put(path, res)  // update TTL
-				return res
-			})
+			return this.fetchFromBackend(path, opts)  // update TTL
 		case this.DO_NOT_CALL_BACKEND:
-			if (metadata && metadata.ttl < Date.now()) {
+			if (expired) {
 				return Promise.reject(undefined)
 			}
 			return Promise.resolve(cacheElem)   // cacheElem may also be undefined.
-		default:
-			if (!cacheElem || metadata && metadata.ttl < Date.now()) {
-				return opts.fetchFunc(path).then((res) => {
-					this.put(path, res)
-					return res
+		case this.STALE_WHILE_REVALIDATE:
+			if (cacheElem && expired) {
+				// A value below an expired parent is refreshed together with the parent
+				if (this.isParentPending(path)) return Promise.resolve(cacheElem)
+				this.fetchFromBackend(path, opts).catch(err => {
+					console.warn("Cannot refresh stale value at path "+JSON.stringify(path)+" from backend: "+err)
 				})
+				return Promise.resolve(cacheElem)
+			}
+			// Values that are not yet in the cache are fetched like with CALL_BACKEND_WHEN_EXPIRED
+			// falls through
+		default:
+			if (!cacheElem || expired) {
+				return this.fetchFromBackend(path, opts)
 			} else {
 				return Promise.resolve(cacheElem)
 			}
 		}
 	}
 
+	/**
+	 * Call `fetchFunc` for the value at `path` and PUT the returned value back into the cache.
+	 *
+	 * Concurrent calls for the same path are collapsed into one backend call: As long as a fetch
+	 * for a path is still in flight, every further caller receives the same pending Promise.
+	 *
+	 * Failed calls are retried `fetchRetries` times with an increasing delay. Each call may take at most `fetchTimeoutMs`.
+	 * With `fetchErrorTtl` a failed path is remembered, and further calls reject immediately with the same error
+	 * until that time has passed (unless the backend call is forced).
+	 *
+	 * @param {Array} path path to the value that shall be fetched. Will be normalized before calling fetchFunc.
+	 * @param {Object} opts config options, including fetchFunc
+	 * @returns {Promise} resolves to the value returned by fetchFunc
+	 * @rejects when fetchFunc rejects. The rejection is passed on to every waiting caller.
+	 */
+	fetchFromBackend(path, opts) {
+		const normalizedPath = this.getSubPath(this.parsePath(path))
+		const pathKey = JSON.stringify(normalizedPath)
+		if (this.pendingFetches[pathKey]) return this.pendingFetches[pathKey]
+		const failure = opts.callBackend !== this.FORCE_BACKEND_CALL && this.getFetchFailure(normalizedPath)
+		if (failure) return Promise.reject(failure.error)
+		return this.trackFetch(normalizedPath, retryFetch(() => opts.fetchFunc(normalizedPath), opts), opts)
+	}
+
+	/**
+	 * @param {Array} normalizedPath normalized path
+	 * @returns {Boolean} true when a parent of normalizedPath is currently being fetched from the backend
+	 */
+	isParentPending(normalizedPath) {
+		for (let n = normalizedPath.length - 1; n > 0; n--) {
+			if (this.pendingFetches[JSON.stringify(normalizedPath.slice(0, n))]) return true
+		}
+		return false
+	}
+
+	/**
+	 * Fetch the values of several paths from the backend with one call to `opts.fetchManyFunc(paths)`
+	 * and PUT each of the returned values into the cache.
+	 * Paths that are already being fetched are not requested again. Paths with a remembered failure reject immediately.
+	 * The call is retried and timed out like in `fetchFromBackend()`.
+	 *
+	 * @param {Array} paths list of paths to fetch
+	 * @param {Object} opts config options, including fetchManyFunc
+	 * @returns {Promise} resolves to the list of fetched values (in the order of paths)
+	 * @rejects when fetchManyFunc rejects or does not resolve to an array
+	 */
+	fetchMany(paths, opts) {
+		const pending = {}
+		const toFetch = []
+		paths.forEach(path => {
+			const normalizedPath = this.getSubPath(this.parsePath(path))
+			const pathKey = JSON.stringify(normalizedPath)
+			const failure = opts.callBackend !== this.FORCE_BACKEND_CALL && this.getFetchFailure(normalizedPath)
+			if (this.pendingFetches[pathKey]) {
+				pending[pathKey] = this.pendingFetches[pathKey]
+			} else if (failure) {
+				pending[pathKey] = Promise.reject(failure.error)
+			} else if (!(pathKey in pending)) {
+				pending[pathKey] = undefined
+				toFetch.push(normalizedPath)
+			}
+		})
+		if (toFetch.length > 0) {
+			const batch = retryFetch(() => opts.fetchManyFunc(toFetch), opts).then(values => {
+				if (!Array.isArray(values) || values.length !== toFetch.length)
+					throw new Error("fetchManyFunc must resolve to an array with one value for each path.")
+				return values
+			})
+			toFetch.forEach((normalizedPath, i) => {
+				pending[JSON.stringify(normalizedPath)] = this.trackFetch(normalizedPath, batch.then(values => values[i]), opts)
+			})
+		}
+		return Promise.all(Object.values(pending))
+	}
+
+	/**
+	 * Remember a pending backend call for normalizedPath, so that concurrent calls for the same path can share it.
+	 * When the call resolves, then the value is PUT into the cache. When it fails, then onFetchError listeners are notified
+	 * and the failure is remembered for `fetchErrorTtl` milliseconds.
+	 * @param {Array} normalizedPath normalized path that is being fetched
+	 * @param {Promise} promise the pending backend call
+	 * @param {Object} opts config options, including fetchErrorTtl
+	 * @returns {Promise} resolves to the fetched value
+	 */
+	trackFetch(normalizedPath, promise, opts = this.config) {
+		const pathKey = JSON.stringify(normalizedPath)
+		const start = Date.now()
+		const pending = promise
+			.then((res) => {
+				delete this.pendingFetches[pathKey]
+				this.recordStat("backendCalls", normalizedPath, Date.now() - start)
+				this.forgetFetchFailure(normalizedPath)
+				this.put(normalizedPath, res)
+				return res
+			}, (err) => {
+				delete this.pendingFetches[pathKey]
+				this.recordStat("backendCalls", normalizedPath, Date.now() - start)
+				this.recordStat("fetchErrors", normalizedPath)
+				if (opts.fetchErrorTtl > 0) this.rememberFetchFailure(normalizedPath, err, opts.fetchErrorTtl)
+				this.fireEvent("onFetchError", normalizedPath, this.parsePath(normalizedPath), err)
+				return Promise.reject(err)
+			})
+		this.pendingFetches[pathKey] = pending
+		return pending
+	}
+
+	/**
+	 * @param {Array} normalizedPath normalized path
+	 * @returns {Object} `{ error, until }` while a failed fetch of normalizedPath is remembered, otherwise undefined
+	 */
+	getFetchFailure(normalizedPath) {
+		const metadata = this.fetchErrorMetadata(normalizedPath)
+		const failure = metadata ? metadata.fetchError : this.fetchFailures.get(JSON.stringify(normalizedPath))
+		if (!failure) return undefined
+		if (failure.until > Date.now()) return failure
+		this.forgetFetchFailure(normalizedPath)
+		return undefined
+	}
+
+	/**
+	 * Remember that the fetch of normalizedPath failed with error for ttl milliseconds.
+	 * When there is a (stale) value at normalizedPath, then the failure is stored as `fetchError` in its metadata.
+	 * Values that are not in the cache have no metadata yet. Their failures are kept in `this.fetchFailures`.
+	 */
+	rememberFetchFailure(normalizedPath, error, ttl) {
+		const failure = { error, until: Date.now() + ttl }
+		const metadata = this.fetchErrorMetadata(normalizedPath)
+		if (metadata) metadata.fetchError = failure
+		else this.fetchFailures.set(JSON.stringify(normalizedPath), failure)
+	}
+
+	/** Forget a remembered failure of normalizedPath, e.g. after a successful fetch */
+	forgetFetchFailure(normalizedPath) {
+		const metadata = this.fetchErrorMetadata(normalizedPath)
+		if (metadata) delete metadata.fetchError
+		this.fetchFailures.delete(JSON.stringify(normalizedPath))
+	}
+
+	/** The metadata of the value at normalizedPath, if it has one that can hold a `fetchError` */
+	fetchErrorMetadata(normalizedPath) {
+		const elem = this.findElem(this.parsePath(normalizedPath))
+		return elem && elem.metadata && typeof elem.metadata === "object" && !Array.isArray(elem.metadata) ? elem.metadata : undefined
+	}
+
 	/**
 	 * This is a synchrounous version of get(). getSync() does not return a Promise. It returns the value at path directly
 	 * if there is a valid value in the cache.
@@ -322,17 +572,22 @@ class PopulatingCache {
 	 * 
 	 * @param {Array} path path to value in cache
 	 * @param {Object} options optionally override configuration options  (callBackend is ignored in this method.)
+	 *   Pass `recordAccess: false` when this read shall not count as a use of the value for LRU eviction.
 	 * @param {Boolean} throwWhenExpired should the method throw when path points to an expired element.
 	 *   This way the caller can distinguish between "not in the cache at all" or "expired value at path".
+	 * @param {Array} refChain internal: the referenced paths that are currently being populated. Used to detect circular DBrefs.
 	 * @returns {*} the value from the cache if there is one. (getSync() does not return a Promise, but the value itself.)
 	 * @throws Error when an element along path is expired and throwWhenExpired = true. Otherwiese null is returned for expired values.
 	 *     Also throws when path is invalid.
 	 */
-	getSync(path, options, throwWhenExpired = false) {
+	getSync(path, options, throwWhenExpired = false, refChain = []) {
 		let cacheElem = this.cacheData || {}
 		let metadataElem = this.cacheMetadata || {}
 		let opts = {...this.config, ...options}
 		const parsedPath = this.parsePath(path)
+		const refOpts = Array.isArray(opts.populate) ? {...opts, populate: true} : opts
+		// The chain of DBrefs that have been resolved to reach the current element. It starts with the requested path itself.
+		let pathChain = refChain.length > 0 ? refChain : [JSON.stringify(this.getSubPath(parsedPath))]
 
 		// Walk along path an try to find value at the end of path. (Without calling the backend).
 		for (let i = 0; i < parsedPath.length; i++) {
@@ -345,7 +600,11 @@ class PopulatingCache {
 				cacheElem = cacheElem[key]
 				if (!cacheElem) return undefined
 				if (opts.populate && cacheElem[opts.referencedPathAttr]) {
-					cacheElem = this.getSync(cacheElem[opts.referencedPathAttr], opts)
+					const chain = this.extendRefChain(cacheElem[opts.referencedPathAttr], pathChain, opts)
+					if (chain) {
+						cacheElem = this.getSync(cacheElem[opts.referencedPathAttr], refOpts, false, chain)
+						pathChain = chain
+					}
 				}
 				if (metadataElem && metadataElem[key]) {
 					if (metadataElem[key].ttl < Date.now()) {
@@ -360,13 +619,17 @@ class PopulatingCache {
 			}
 			// If path[i] is a string that defines an array element "array[<number>]" then step into that array element.
 			else if (key && index >= 0 && id === undefined) {
-				cacheElem = cacheElem[key][index]
+				cacheElem = cacheElem[key] ? cacheElem[key][index] : undefined
 				if (!cacheElem) return undefined
 				if (opts.populate && cacheElem[opts.referencedPathAttr]) {
-					cacheElem = this.getSync(cacheElem[opts.referencedPathAttr], opts)
+					const chain = this.extendRefChain(cacheElem[opts.referencedPathAttr], pathChain, opts)
+					if (chain) {
+						cacheElem = this.getSync(cacheElem[opts.referencedPathAttr], refOpts, false, chain)
+						pathChain = chain
+					}
 				}
 				if (metadataElem && metadataElem[key] && metadataElem[key][index]) {
-					if (metadataElem[key].ttl < Date.now()) {
+					if (metadataElem[key][index].ttl < Date.now()) {
 						if (throwWhenExpired) { 
 							throw new Error("getSync(): The value at path " + JSON.stringify(path) + "is expired.") 
 						}	else { 
@@ -379,14 +642,18 @@ class PopulatingCache {
 			// If path[i] was "key/id" or {key:id}, then find the element from "key"-array with a matching _id and step into it.
 			else if (key && index === undefined && id) {
 				if (!cacheElem[key]) return undefined
-				index = cacheElem[key].findIndex((el) => el[opts.idAttr] == id) // eslint-disable-line no-shadow
+				index = cacheElem[key].findIndex((el) => el && el[opts.idAttr] == id) // eslint-disable-line no-shadow
 				if (index === -1) return undefined
 				cacheElem = cacheElem[key][index]
 				if (opts.populate && cacheElem[opts.referencedPathAttr]) {
-					cacheElem = this.getSync(cacheElem[opts.referencedPathAttr], opts)
+					const chain = this.extendRefChain(cacheElem[opts.referencedPathAttr], pathChain, opts)
+					if (chain) {
+						cacheElem = this.getSync(cacheElem[opts.referencedPathAttr], refOpts, false, chain)
+						pathChain = chain
+					}
 				}
 				if (metadataElem && metadataElem[key] && metadataElem[key][index]) {
-					if (metadataElem[key].ttl < Date.now()) {
+					if (metadataElem[key][index].ttl < Date.now()) {
 						if (throwWhenExpired) { 
 							throw new Error("getSync(): The value at path " + JSON.stringify(path) + "is expired.") 
 						}	else { 
@@ -400,7 +667,12 @@ class PopulatingCache {
 			}
 		}
 		
-		return cacheElem   // my still be undefined
+		if (opts.recordAccess !== false) this.recordAccess(metadataElem)
+		if (Array.isArray(opts.populate)) {
+			cacheElem = this.populateProps(cacheElem, opts.populate, opts, pathChain,
+				(refPath, chain) => this.getSync(refPath, {...opts, populate: true, returnClones: false}, false, chain))
+		}
+		return opts.returnClones ? deepClone(cacheElem) : cacheElem   // my still be undefined
 	}
 
 
@@ -426,65 +698,234 @@ class PopulatingCache {
 	 * populate all "createdBy" references (to "users") in an array of "posts":
 	 * `populate(posts, "createdBy")`
 	 * 
+	 * elem is populated in place. Frozen elements are not changed. Then a populated copy is returned.
+	 * 
+	 * refProp may also be a list of property paths, e.g. `populate(posts, ["createdBy", "comments.author"])`.
+	 * Then only the DBrefs at exactly these properties (and the DBrefs along them) are populated.
+	 * elem is not changed at all in this case. Populated parts of elem are copied.
+	 * 
+	 * With the `populateDepth` option you can limit how many levels of nested DBrefs are resolved.
+	 * 
+	 * When a `fetchManyFunc` is configured, then all referenced values that are not yet in the cache or expired
+	 * are fetched from the backend with one single call before the DBrefs are substituted.
+	 * 
 	 * @param {Object|Array} elem an element from the cache that contains DBrefs
-	 * @param {String} refProp the name of the property that is a DBref and that shall be populated
+	 * @param {String|Array} refProp the name of the property that is a DBref and that shall be populated or a list of property paths
 	 * @param {Object} options configuration options (or will use defaults)
+	 * @param {Array} refChain internal: the referenced paths that are currently being populated. Used to detect circular DBrefs.
+	 * @returns {Promise} resolves to the populated elem
 	 */
-	async populate(elem, refProp, options) {
-		let opts = {...this.config, ...options}
+	async populate(elem, refProp, options, refChain = [null]) {
+		const opts = await this.prefetchPopulated(elem, refProp, {...this.config, ...options}, refChain)
+		if (Array.isArray(refProp)) {
+			const resolve = (refPath, chain) => this.get(refPath, {...opts, populate: true}, chain)
+			return this.populateProps(elem, refProp, opts, refChain, resolve)
+		}
+		return this.populateRefs(elem, refProp, opts, refChain)
+	}
+
+	/**
+	 * Fetch the values of the DBrefs in elem that `populate(elem, refProp)` will substitute with one call to `opts.fetchManyFunc`.
+	 * Nothing is fetched when no fetchManyFunc is configured.
+	 * @param {Any} elem element that contains DBrefs
+	 * @param {String|Array} refProp name of the DBref properties or a list of property paths
+	 * @param {Object} opts configuration options
+	 * @param {Array} refChain the referenced paths that are currently being populated
+	 * @returns {Promise} resolves to the options for the population. A forced backend call is not repeated for each DBref.
+	 */
+	async prefetchPopulated(elem, refProp, opts, refChain) {
+		if (typeof opts.fetchManyFunc !== "function" || opts.callBackend === this.DO_NOT_CALL_BACKEND) return opts
+		const refPaths = Array.isArray(refProp)
+			? collectPropRefPaths(elem, refProp.map(propPath => propPath.split(".")), opts.referencedPathAttr)
+			: collectRefPaths(elem, refProp, opts.referencedPathAttr)
+		await this.prefetchRefs(refChain.length - 1 < opts.populateDepth ? refPaths : [], opts)
+		// Values have just been fetched. Do not fetch them again one by one.
+		return opts.callBackend === this.FORCE_BACKEND_CALL ? {...opts, callBackend: this.CALL_BACKEND_WHEN_EXPIRED} : opts
+	}
+
+	/**
+	 * Fetch all referenced values that are not yet in the cache or expired with one call to `opts.fetchManyFunc`.
+	 * With STALE_WHILE_REVALIDATE expired values are refreshed in the background.
+	 * @param {Array} refPaths referenced paths of DBrefs that will be populated
+	 * @param {Object} opts configuration options, including fetchManyFunc
+	 * @returns {Promise} resolves when the missing values are in the cache
+	 */
+	async prefetchRefs(refPaths, opts) {
+		const missing = []
+		const expired = []
+		refPaths.forEach(refPath => {
+			try {
+				const cached = this.getSync(refPath, { populate: false, returnClones: false, recordAccess: false }, true)
+				if (cached === undefined || opts.callBackend === this.FORCE_BACKEND_CALL) missing.push(refPath)
+			} catch(err) {
+				expired.push(refPath)
+			}
+		})
+		if (opts.callBackend === this.STALE_WHILE_REVALIDATE) {
+			// expired values are refreshed in the background. get() will return the stale values.
+			if (expired.length > 0) this.fetchMany(expired, opts).catch(err => {
+				console.warn("Cannot refresh stale DBrefs from backend: "+err)
+			})
+		} else {
+			missing.push(...expired)
+		}
+		if (missing.length > 0) await this.fetchMany(missing, opts)
+	}
+
+	/**
+	 * Recursive part of populate(): Substitute the DBrefs in elem with the referenced values.
+	 * @param {Object|Array} elem element that contains DBrefs
+	 * @param {String} refProp the name of the property that is a DBref and that shall be populated
+	 * @param {Object} opts configuration options
+	 * @param {Array} refChain the referenced paths that are currently being populated
+	 * @returns {Promise} resolves to the populated elem
+	 */
+	async populateRefs(elem, refProp, opts, refChain) {
+		if (elem && typeof elem === "object" && Object.isFrozen(elem)) {
+			elem = Array.isArray(elem) ? [...elem] : {...elem}
+		}
 		if (Array.isArray(elem)) {
 			for (let i = 0; i < elem.length; i++) {
-				if (elem[i][opts.referencedPathAttr]) {
-					elem[i] = await this.get(elem[i][opts.referencedPathAttr], opts)
+				if (elem[i] && elem[i][opts.referencedPathAttr]) {
+					const chain = this.extendRefChain(elem[i][opts.referencedPathAttr], refChain, opts)
+					if (chain) elem[i] = await this.get(elem[i][opts.referencedPathAttr], opts, chain)
 				} else {
-					await this.populate(elem[i], refProp, opts)
+					elem[i] = await this.populateRefs(elem[i], refProp, opts, refChain)
 				}
 			}
-		} else if (typeof elem === "object") {
+		} else if (elem && typeof elem === "object") {
 			for (const key in elem) {
-				if (key === refProp && elem[key][opts.referencedPathAttr]) {
-					elem[key] = await this.get(elem[key][opts.referencedPathAttr], opts)
+				if (key === refProp && elem[key] && elem[key][opts.referencedPathAttr]) {
+					const chain = this.extendRefChain(elem[key][opts.referencedPathAttr], refChain, opts)
+					if (chain) elem[key] = await this.get(elem[key][opts.referencedPathAttr], opts, chain)
 				} else {
-					await this.populate(elem[key], refProp, opts)
+					elem[key] = await this.populateRefs(elem[key], refProp, opts, refChain)
 				}
 			}
 		}
 		return Promise.resolve(elem)
 	}
 
+	/**
+	 * Populate the DBrefs at the given property paths in value, e.g. `["createdBy", "comments.author"]`.
+	 * Arrays along a property path are populated item by item. DBrefs along a property path are resolved, so that it can be followed.
+	 * value itself is not changed. The populated parts are shallow copies. Everything else is shared with value.
+	 *
+	 * The same code is used by get() and getSync(): `resolve` either returns the referenced value or a Promise of it.
+	 *
+	 * @param {Any} value the value that shall be populated
+	 * @param {Array} propPaths list of property paths in dot notation
+	 * @param {Object} opts configuration options
+	 * @param {Array} refChain the referenced paths that are currently being populated
+	 * @param {Function} resolve `resolve(refPath, chain)` returns (a Promise of) the referenced value or undefined when it is not available
+	 * @returns {Any} (a Promise that resolves to) the populated value
+	 */
+	populateProps(value, propPaths, opts, refChain, resolve) {
+		const populateNode = (node, segments, chain) => {
+			if (node && node[opts.referencedPathAttr]) {
+				const nextChain = this.extendRefChain(node[opts.referencedPathAttr], chain, opts)
+				if (!nextChain) return node
+				return whenResolved(resolve(node[opts.referencedPathAttr], nextChain),
+					resolved => resolved === undefined ? node : populateNode(resolved, segments, nextChain))
+			}
+			if (Array.isArray(node)) {
+				return whenResolved(allResolved(node.map(item => populateNode(item, segments, chain))),
+					items => items.every((item, i) => item === node[i]) ? node : items)
+			}
+			if (segments.length === 0 || !node || typeof node !== "object" || node[segments[0]] === undefined) return node
+			const [prop, ...rest] = segments
+			return whenResolved(populateNode(node[prop], rest, chain),
+				child => child === node[prop] ? node : {...node, [prop]: child})
+		}
+		return propPaths.reduce(
+			(populated, propPath) => whenResolved(populated, val => populateNode(val, propPath.split("."), refChain)),
+			value
+		)
+	}
+
+	/**
+	 * Add refPath to the chain of referenced paths that are currently being populated.
+	 * When refPath already is in the chain, then the DBrefs are circular, e.g. `users/1 -> posts/5 -> users/1`.
+	 * When the chain already contains `opts.populateDepth` DBrefs, then refPath is too deep and is not populated either.
+	 * @param {Any} refPath the referenced path of a DBref that shall be populated
+	 * @param {Array} refChain normalized paths (as JSON) that are currently being populated. The first one is the path of the value
+	 *   where population started (null when it is unknown). The others are the DBrefs that have been resolved from there.
+	 * @param {Object} opts config options
+	 * @returns {Array} the extended chain or undefined when the DBref is circular or too deep and shall not be populated
+	 * @throws when the DBref is circular and opts.throwOnCircularRef is true
+	 */
+	extendRefChain(refPath, refChain, opts) {
+		if (refChain.length - 1 >= opts.populateDepth) return undefined
+		const refKey = JSON.stringify(this.getSubPath(this.parsePath(refPath)))
+		if (refChain.includes(refKey)) {
+			if (opts.throwOnCircularRef) {
+				throw new Error("Circular DBrefs: " + [...refChain, refKey].filter(key => key !== null).join(" -> "))
+			}
+			return undefined
+		}
+		return [...refChain, refKey]
+	}
+
 	/**
 	 * Subscribe to changes at a given path (or below a path prefix)
 	 * 
-	 * The listner's onPut(path, value) method will be called, when a value is PUT into the cache.
-	 * onDelete(path, deletedValue) will be called, when a value is deleted.
-	 * By default listeners are also called when a value is put below the path. 
+	 * The listener can either be a function `onPut(path, value)` or an object with one or more of these callbacks:
+	 *  - `onPut(path, value, oldValue, normalizedPath)` when a value is PUT into the cache
+	 *  - `onDelete(path, deletedValue, normalizedPath)` when a value is deleted
+	 *  - `onExpire(path, expiredValue, normalizedPath)` when an expired value is removed by `deleteExpiredElems()`
+	 *  - `onFetchError(path, error, normalizedPath)` when fetchFunc rejects
+	 *  - `onEvict(path, evictedValue, normalizedPath)` when a value is removed, because the cache is full
+	 *  - `onWriteError(path, error, normalizedPath)` when a write-behind could not be saved, even after all retries
+	 * `path` is the path as passed to the cache method. `normalizedPath` is the normalized form as passed to fetchFunc.
+	 * 
+	 * The path may contain wildcards, e.g. "posts/*.comments", "users/*" or "**.author". `*` matches any key, id or array index
+	 * and `**` any number of path elements. Every callback receives the values matched by the wildcards as last argument.
+	 * 
+	 * By default listeners are also called when a value below the path changes.
 	 * This can be changed by passing exact = true. Then the listener is only notified, when the value at exactly this path is changed.
 	 * 
 	 * @param {Any} path path prefix where we listen to changes. If undefined, then listener will be notified for every change of the cache.
-	 * @param {Function} onPutFunc callback function that will be notified when a value is put into the cache: onPutFunc(path, value)
+	 * @param {Function|Object} listener callback function `onPut(path, value)` or an object with callbacks
 	 * @param {Boolean} exact Notify listener only when the value at exactly this path is changed (default=false)
-	 * @throws when path is invalid
+	 * @param {Function} onDeleteFunc optional callback that will be notified when a value is deleted: onDeleteFunc(path, deletedValue)
+	 * @returns {Object} the subscription. Pass it to `unsubscribe()`.
+	 * @throws when path or listener is invalid
 	 */
-	subscribe(path, onPutFunc, exact = false) {
+	subscribe(path, listener, exact = false, onDeleteFunc = undefined) {
 		let parsedPath
 		if (path === undefined || path === "" || path === []) {
 			// global listener
 			parsedPath = []
 		} else {
 			try {
-				parsedPath = this.parsePath(path)
+				parsedPath = typeof path === "string" && path.includes("*") ? parsePattern(path) : this.parsePath(path)
 			} catch(err) {
 				throw new Error("Cannot subscribe. Path is invalid! " + err)
 			}
-		}			
-		let listener = {
-			listenerId: this.listeners.length,
+		}
+		let callbacks
+		if (typeof listener === "function") {
+			callbacks = { onPut: listener, onDelete: onDeleteFunc }
+		} else if (listener && typeof listener === "object") {
+			callbacks = listener
+		} else {
+			throw new Error("Cannot subscribe. Listener must be a function or an object with callbacks.")
+		}
+		let subscription = {
+			listenerId: this.nextListenerId++,
 			path: parsedPath,
-			onPut: onPutFunc,
+			onPut: callbacks.onPut,
+			onDelete: callbacks.onDelete,
+			onExpire: callbacks.onExpire,
+			onFetchError: callbacks.onFetchError,
+			onEvict: callbacks.onEvict,
+			onWriteError: callbacks.onWriteError,
+			onRefChange: callbacks.onRefChange,
+			onInvalidate: callbacks.onInvalidate,
 			exact: exact
 		}
-		this.listeners.push(listener)
-		return listener
+		this.listeners.push(subscription)
+		return subscription
 	}
 
 	unsubscribe(listener) {
@@ -501,141 +942,1169 @@ class PopulatingCache {
 	 * @param {Any} path the path that has changed
 	 * @param {Any} value value that has been put into the cache under path
 	 * @param {Array} parsedPath internal normalized path array (will be calculated from path when not given)
+	 * @param {Any} oldValue the value that was in the cache before
+	 */
+	firePutEvent(path, value, parsedPath, oldValue) {
+		this.fireEvent("onPut", path, parsedPath, value, oldValue)
+	}
+
+	/**
+	 * Notify matching listeners that a value has been deleted from the cache.
+	 * 
+	 * @param {Any} path the path that has been deleted
+	 * @param {Any} deletedValue the value that has been removed from the cache
+	 * @param {Array} parsedPath internal normalized path array (will be calculated from path when not given)
+	 */
+	fireDeleteEvent(path, deletedValue, parsedPath) {
+		this.fireEvent("onDelete", path, parsedPath, deletedValue)
+	}
+
+	/**
+	 * Call the callback `eventName` of every matching listener with `(path, ...args, normalizedPath, wildcards)`
+	 * While a transaction is running, the event is deferred until the transaction commits.
+	 * @param {String} eventName name of the listener callback, e.g. "onPut"
+	 * @param {Any} path the path that is passed to the listener
+	 * @param {Array} parsedPath internal normalized path array (will be calculated from path when not given)
+	 * @param  {...any} args further arguments for the callback
 	 */
-	firePutEvent(path, value, parsedPath) {
+	fireEvent(eventName, path, parsedPath, ...args) {
 		if (!parsedPath) parsedPath = this.parsePath(path)
-		this.listeners.forEach(l => {
-			let match = l.exact === false || parsedPath.length === l.path.length
-			// l.path.length can be 0 for global listener!
-			for (let i = 0; i < l.path.length && match; i++) {
-				if (l.path[i].key !== parsedPath[i].key) match = false
-				if (l.path[i].id && l.path[i].id !== parsedPath[i].id) match = false
-				if (l.path[i].index && l.path[i].index !== parsedPath[i].index) match = false
-			}
-			if (match) l.onPut(path, value)
+		if (this.transactionEvents) {
+			this.transactionEvents.push({ eventName, path, parsedPath, args })
+			return
+		}
+		const matches = this.getMatchingListeners(parsedPath).filter(m => typeof m.listener[eventName] === "function")
+		if (matches.length > 0) {
+			const normalizedPath = this.getSubPath(parsedPath)
+			matches.forEach(m => m.listener[eventName](path, ...args, normalizedPath, m.wildcards))
+		}
+		// A new value (without oldValue) only changes the referenced entities below it, e.g. "users/42.name"
+		if (eventName === "onPut") this.notifyReferrers(parsedPath, args[1] === undefined)
+		else if (eventName === "onDelete" || eventName === "onExpire") this.notifyReferrers(parsedPath, false)
+	}
+
+	/**
+	 * List the DBrefs that point to path or to a value below path.
+	 * The cache maintains a reverse index of all DBrefs in its values.
+	 * @param {String|Array|Object} path a path in any form that `parsePath()` accepts, e.g. "users/42"
+	 * @returns {Array} the normalized paths of the DBrefs, e.g. `[[{posts: 5}, "createdBy"]]`
+	 */
+	getReferrers(path) {
+		const parsedPath = this.parsePath(path)
+		const result = []
+		this.refIndex.forEach(ref => {
+			if (coversPath(parsedPath, ref.target)) result.push(this.getSubPath(ref.referrer))
 		})
+		return result
 	}
 
 	/**
-	 * Delete an element from the cache. It's value will be set to undefined.
-	 * If path points to an array element, then that array element will be set to 
-	 * undefined, so that the length of the array does not change.
-	 * @param {Array} path path to the element that shall be deleted
+	 * Notify the listeners of all DBrefs whose referenced value changed at parsedPath with
+	 * `onRefChange(referrerPath, changedPath, normalizedPath, wildcards)`.
+	 * With `invalidateReferrers` the values that contain these DBrefs are invalidated, so that they are fetched again.
+	 * @param {Array} parsedPath path of the value that changed
+	 * @param {Boolean} isNew true when the value has been PUT for the first time. Then only DBrefs to values below it are affected.
 	 */
-	delete(path) {
-		this.put(path, undefined, -1)
+	notifyReferrers(parsedPath, isNew) {
+		if (this.refIndex.size === 0) return
+		const affected = []
+		this.refIndex.forEach(ref => {
+			const below = parsedPath.length > ref.target.length && coversPath(ref.target, parsedPath)
+			if (below || (!isNew && coversPath(parsedPath, ref.target))) affected.push(ref.referrer)
+		})
+		if (affected.length === 0) return
+		const changedPath = this.getSubPath(parsedPath)
+		affected.forEach(referrer => {
+			if (this.config.invalidateReferrers) this.invalidateContainingValue(referrer)
+			this.fireEvent("onRefChange", this.getSubPath(referrer), referrer, changedPath)
+		})
 	}
-	
+
 	/**
-	 * Check if a path points to a defined and not yet expired value in the cache.
-	 * If path points to an `undefined` value, then isInCache will return false.
-	 * This method will not change the content of the cache or metadata and will not call the backend at all.
-	 * (Use `getSync(path)` to fetch the value at a path.)
-	 * 
-	 * @param {Array} path path to an element in the cache
-	 * @param {Boolean} populate wether to populate DBrefs along path
-	 * @return {Boolean} true if there is a value !== undefind at that path and it is not yet expired.
+	 * Invalidate the value that has been PUT and contains parsedPath, i.e. the nearest element along parsedPath that has a ttl.
+	 * @param {Array} parsedPath normalized path, e.g. of a DBref
 	 */
-	isInCache(path) {
-		try {
-			let value = this.getSync(path)
-			return value !== undefined
-		} catch(err) {
-			return false // value is expired
+	invalidateContainingValue(parsedPath) {
+		for (let n = parsedPath.length; n > 0; n--) {
+			const { key, id, index } = parsedPath[n - 1]
+			// An array item may have its own metadata, or the whole array has been PUT at once
+			const candidates = [parsedPath.slice(0, n)]
+			if (id !== undefined || index !== undefined) candidates.push([...parsedPath.slice(0, n - 1), { key }])
+			for (const candidate of candidates) {
+				const elem = this.findElem(candidate)
+				if (elem && elem.metadata && elem.metadata.ttl !== undefined) {
+					this.invalidate(this.getSubPath(candidate))
+					return
+				}
+			}
 		}
 	}
 
 	/**
-	 * Get (a direct reference!) to all the data in the cache.
-	 * The cacheData is exactly as returned by `fetchFunc(path)`
+	 * Update the reverse index of DBrefs for the value that has just been stored at parsedPath.
+	 * @param {Array} parsedPath normalized path of the stored value
 	 */
-	getCacheData() {
-		return this.cacheData
+	indexRefs(parsedPath) {
+		const elem = this.findElem(parsedPath)
+		const referrerPath = resolveIndexes(this.cacheData, parsedPath, this.config.idAttr)
+		this.unindexRefs(referrerPath)
+		if (elem) this.addRefs(elem.value, referrerPath)
 	}
 
 	/**
-	 * While you `put` values into the cache, Populating-Cache automatically
-	 * creates a second parallel tree of metadata next to the `cacheData`.
-	 * The metadata contains the time to life (TTL) of the value in the cache.
-	 * `ttl` is the number of milliseconds since the epoc, when a value will expire.
-	 * @param {Array} path fetch metadata of a specific element. If null or undefind, then all metadata of the whole cache is returned.
-	 * @returns {Object} metadata of cached value under path, e.g. { ttl: 55235325000, type: "Integer"}
+	 * Remove all DBrefs at or below parsedPath from the reverse index.
+	 * Referrers are indexed with the ids of array items. Pass paths with array indexes through `resolveIndexes()` first.
 	 */
-	getMetadata(path) {
-		if (!path) return this.cacheMetadata
-		let metadataElem = this.cacheMetadata || {}
-		const parsedPath = this.parsePath(path)
+	unindexRefs(parsedPath) {
+		if (this.refIndex.size === 0) return
+		this.refIndex.forEach((ref, refKey) => {
+			if (coversPath(parsedPath, ref.referrer)) this.refIndex.delete(refKey)
+		})
+	}
 
-		// Walk along path and insert intermediate objects as necessary
-		for (let i = 0; i < parsedPath.length; i++) {
-			const key = parsedPath[i].key
-			const id = parsedPath[i].id
-			const index = parsedPath[i].index
-			if (!metadataElem || !metadataElem[key]) return undefined
+	/** Rebuild the reverse index of DBrefs from the whole cacheData, e.g. after it has been replaced */
+	rebuildRefIndex() {
+		this.refIndex.clear()
+		for (const key in this.cacheData) this.addRefs(this.cacheData[key], [{ key }])
+	}
 
-			// If path[i] is a plain string, then step into that key.
-			if (key && index === undefined && id === undefined) {
-				metadataElem = metadataElem[key]
-			}
-			// If path[i] is a string that defines an array element "key[<number>]" then step into that array element.
-			else if (key && index >= 0 && id === undefined) {
-				metadataElem = metadataElem[key][index]
-			}
-			// If path[i] was "key/id" or {key:id}, then find the element from "key"-array with a matching _id and step into it.
-			else if (key && index === undefined && id) {
-				const index = metadataElem[key].findIndex((e) => e[this.config.idAttr] === id)
-				// if there is no metadataElem with a matching _id, then immideately return undefined
-				if (index === -1) return undefined 				
-				metadataElem = metadataElem[key][index]
-			} else {
-				throw Error(`Invalid path element ${i}: ${JSON.stringify(path[i])}`)
+	/** Add the DBrefs in value, which is stored at parsedPath, to the reverse index */
+	addRefs(value, parsedPath) {
+		collectDbRefs(value, parsedPath, this.config.referencedPathAttr, this.config.idAttr).forEach(ref => {
+			let target
+			try {
+				target = this.parsePath(ref.refPath)
+			} catch(err) {
+				return   // invalid DBrefs cannot be populated anyway
 			}
-		}
-		return metadataElem
+			this.refIndex.set(JSON.stringify(this.getSubPath(ref.referrer)), { referrer: ref.referrer, target })
+		})
 	}
 
 	/**
-	 * Completely empty the cache and delte all values in it. This also clears out all metadata.
+	 * Find the listeners that are subscribed to parsedPath or to a prefix of it.
+	 * @param {Array} parsedPath normalized path that has changed
+	 * @returns {Array} the matching listeners as `{ listener, wildcards }`. `wildcards` are the values matched by the wildcards
+	 *   in the listener's path, in their order. A "**" matches a (normalized) sub path.
 	 */
-	emptyCache() {
-		this.cacheData = {}
-		this.cacheMetadata = {}
+	getMatchingListeners(parsedPath) {
+		const matches = []
+		this.listeners.forEach(listener => {
+			// listener.path.length can be 0 for global listener!
+			const wildcards = matchPattern(listener.path, parsedPath, listener.exact)
+			if (wildcards) matches.push({
+				listener: listener,
+				wildcards: wildcards.map(w => Array.isArray(w) ? this.getSubPath(w) : w)
+			})
+		})
+		return matches
 	}
 
 	/**
-	 * Recursively walk through the cacheData and delete all expired elements.
-	 * You may call this from time to time to optimize the cache's memory consumption
+	 * Apply several puts and deletes atomically, e.g. a post together with its comments and its author.
+	 *
+	 * `fn` receives a transaction handle `tx` that can be used like the cache. Only `tx.put()` and `tx.delete()` are part of
+	 * the transaction. Listeners are not notified about them while `fn` is running. When `fn` returns (or its Promise resolves),
+	 * then the transaction commits and the deferred events are fired. Several events for the same path are coalesced into one:
+	 * the latest event wins. Coalesced `onPut` events receive the value from before the transaction as `oldValue`.
+	 *
+	 * When `fn` throws or rejects, then every path that has been changed with `tx.put()` or `tx.delete()` is restored
+	 * to its value and metadata from before the transaction, and no listener is notified about them.
+	 * Other changes of the cache while an async `fn` is running, e.g. values fetched by concurrent `get()` calls,
+	 * are not part of the transaction. They are notified immediately and kept on rollback.
+	 *
+	 * Transactions may be nested with `tx.transaction(fn)`. A nested transaction becomes part of the outer one,
+	 * but is rolled back on its own when it fails.
+	 *
+	 * @param {Function} fn `fn(tx)` makes the changes. May be async.
+	 * @returns {Promise} resolves to the result of fn after the transaction has been committed
+	 * @rejects with the error of fn after the transaction has been rolled back
 	 */
-	deleteExpiredElems() {
-		deleteExpiredElemsRec(this.cacheData, this.cacheMetadata)
+	transaction(fn) {
+		return this.runTransaction(fn, undefined)
 	}
 
-	// ============ helper methods ==============
-	
 	/**
-	 * Parse a path into a normalized array of `{ key, id, index, appendArray }` objects.
-	 * <b>Internally</b> populating-cache uses these normalized pathes.
-	 * See README.md for a detailed description about pathes in populating-cache.
-	 *
-	 * <h3>Elements of normalized path arrray</h3>
-	 * {
-	 *   "key": the string key of the path,
-	 *   "id":  the alphanumerical ID for path elements like "posts/4711",
-	 *   "index": numerical array index, eg. from "array[42]"
-	 *   "appendArray": boolean, only used for PUT, e.g. put("posts[]", {title: "new post"})
-	 * }
-	 * 
-	 * @param {String|Array} path plain string or array of path elements
-	 * @returns {Array} Array of parsed objects { key, id, index, appendArray }. `id` or `index` may be undefind in each path element.
-	 * @throws an Error when path or a path element is invalid
+	 * Run fn as a transaction. See `transaction()`
+	 * @param {Function} fn `fn(tx)` makes the changes
+	 * @param {Object} outer state of the enclosing transaction or undefined
+	 * @returns {Promise} resolves to the result of fn after the transaction has been committed
 	 */
-	parsePath(path) {
-		let result = []
-		if (!path) throw new Error("Cannot parse empty path.")
-		if (typeof path === "string") {
-			// If path is just a string, then split it at the dots
-			if (path.includes(".")) {
-				result = path.split(".")
+	runTransaction(fn, outer) {
+		// Deferred events and the prior state of every changed path, keyed by its normalized path, in the order of the changes.
+		// `nested` is the state of a nested transaction that is currently running.
+		const state = { events: [], priors: new Map(), nested: undefined }
+		const tracked = (method) => (path, ...args) => {
+			// While a nested transaction is running, changes through this handle belong to the nested one
+			let current = state
+			while (current.nested) current = current.nested
+			this.recordPrior(current.priors, path)
+			const outerEvents = this.transactionEvents
+			this.transactionEvents = current.events
+			try {
+				return this[method](path, ...args)
+			} finally {
+				this.transactionEvents = outerEvents
+			}
+		}
+		const handle = {
+			put: tracked("put"),
+			delete: tracked("delete"),
+			transaction: (innerFn) => this.runTransaction(innerFn, state),
+		}
+		const tx = new Proxy(this, {
+			get: (target, prop) => {
+				if (Object.prototype.hasOwnProperty.call(handle, prop)) return handle[prop]
+				const value = Reflect.get(target, prop)
+				return typeof value === "function" ? value.bind(target) : value
+			}
+		})
+
+		if (outer) outer.nested = state
+		const finish = () => { if (outer) outer.nested = undefined }
+
+		const rollback = (err) => {
+			finish()
+			// Restore in reverse order, so that the changes below a path are undone before the path itself
+			const outerEvents = this.transactionEvents
+			this.transactionEvents = []   // restoring does not notify anyone
+			try {
+				[...state.priors.values()].reverse().forEach(prior => this.restoreElem(prior))
+			} finally {
+				this.transactionEvents = outerEvents
+			}
+			this.schedulePersist()
+			return Promise.reject(err)
+		}
+		const commit = (result) => {
+			finish()
+			if (outer) {
+				outer.events.push(...state.events)
+				state.priors.forEach((prior, pathKey) => { if (!outer.priors.has(pathKey)) outer.priors.set(pathKey, prior) })
+			} else {
+				coalesceEvents(state.events).forEach(e => this.fireEvent(e.eventName, e.path, e.parsedPath, ...e.args))
+				this.schedulePersist()
+			}
+			return result
+		}
+
+		let result
+		try {
+			result = fn(tx)
+		} catch(err) {
+			return rollback(err)
+		}
+		if (result && typeof result.then === "function") return result.then(commit, rollback)
+		return Promise.resolve(commit(result))
+	}
+
+	/**
+	 * Remember the value and metadata at path before a transaction changes it for the first time.
+	 * When path does not exist yet, then its outermost missing element is remembered, so that a rollback removes it completely.
+	 * An append to "array[]" or a new item behind the end of an array, e.g. "array[5]", remembers the whole array.
+	 * @param {Map} priors the remembered prior states of the transaction, keyed by normalized path
+	 * @param {Any} path the path that will be changed
+	 */
+	recordPrior(priors, path) {
+		const parsedPath = this.parsePath(path)
+		const last = parsedPath[parsedPath.length - 1]
+		const changedPath = last.appendArray ? [...parsedPath.slice(0, -1), { key: last.key }] : parsedPath
+		const existing = (existingPath) => {
+			const elem = this.findElem(existingPath)
+			return { parsedPath: existingPath, existed: true, index: elem.index,
+				value: copyMutable(elem.value), metadata: deepClone(elem.metadata) }
+		}
+		let prior
+		for (let n = 1; n <= changedPath.length && !prior; n++) {
+			const { key, id, index } = changedPath[n - 1]
+			const candidates = id !== undefined || index !== undefined ? [[...changedPath.slice(0, n - 1), { key }]] : []
+			candidates.push(changedPath.slice(0, n))
+			const missing = candidates.find(candidate => !this.findElem(candidate))
+			// A new item at an index behind the end lengthens the array. Then the whole array is restored.
+			if (missing && index !== undefined && missing !== candidates[0]) prior = existing(candidates[0])
+			else if (missing) prior = { parsedPath: missing, existed: false }
+		}
+		if (!prior) prior = existing(changedPath)
+		const pathKey = JSON.stringify(this.getSubPath(prior.parsedPath))
+		if (!priors.has(pathKey)) priors.set(pathKey, prior)
+	}
+
+	/**
+	 * Restore the prior state of a path that has been remembered by `recordPrior()`. Nobody is notified.
+	 * @param {Object} prior `{ parsedPath, existed, value, metadata, index }`
+	 */
+	restoreElem(prior) {
+		if (!prior.existed) {
+			if (this.findElem(prior.parsedPath)) this.removeElem(prior.parsedPath)
+			return
+		}
+		this.put(this.getSubPath(prior.parsedPath), prior.value, { merge: false })
+		const elem = this.findElem(prior.parsedPath)
+		elem.replaceMetadata(prior.metadata)
+		if (prior.index !== undefined && elem.index !== prior.index) this.moveItem(prior.parsedPath, elem.index, prior.index)
+	}
+
+	/**
+	 * Move an item with an id to another position in its array, e.g. back to where it was before it had been deleted.
+	 * @param {Array} parsedPath path of the item, e.g. `[{ key: "posts", id: 5 }]`
+	 * @param {Number} from current index of the item
+	 * @param {Number} to new index of the item
+	 */
+	moveItem(parsedPath, from, to) {
+		const { key } = parsedPath[parsedPath.length - 1]
+		const refreeze = []
+		const { parent, metaParent } = walkToParent(this.cacheData, this.cacheMetadata, parsedPath, this.config.idAttr,
+			(p, k) => thawChild(p, k, refreeze, false))
+		const array = thawChild(parent, key, refreeze, false)
+		array.splice(to, 0, array.splice(from, 1)[0])
+		if (metaParent && Array.isArray(metaParent[key])) metaParent[key].splice(to, 0, metaParent[key].splice(from, 1)[0])
+		refreeze.forEach(container => Object.freeze(container))
+	}
+
+	/**
+	 * Capture the current content of the cache, e.g. for undo or in tests. The snapshot is deep-frozen and never changes.
+	 * Parts of the cache that already are frozen are shared with the snapshot instead of being copied.
+	 * Like in the storage, the state of queued writes and remembered fetch failures is not part of the snapshot.
+	 * @returns {Object} `{ cacheData, cacheMetadata }`
+	 */
+	snapshot() {
+		return Object.freeze({
+			cacheData: deepFreeze(copyMutable(this.cacheData)),
+			cacheMetadata: deepFreeze(persistableMetadata(this.cacheMetadata)),
+		})
+	}
+
+	/**
+	 * Roll the cache back to a snapshot. Listeners are notified about every difference: `onPut` for values that are added or changed
+	 * and `onDelete` for values that are removed.
+	 * @param {Object} snapshot a snapshot from `snapshot()`
+	 * @returns {Object} the cache instance
+	 * @throws when snapshot is invalid
+	 */
+	restore(snapshot) {
+		if (!snapshot || !snapshot.cacheData || !snapshot.cacheMetadata) throw new Error("Cannot restore. Need a snapshot from snapshot().")
+		const changes = diffValues(this.cacheData, snapshot.cacheData, [], this.config.idAttr)
+		const oldData = this.cacheData
+		// In freeze mode the frozen values can be shared with the snapshot. Otherwise the values must be modifiable like before.
+		this.cacheData = this.config.freeze ? { ...snapshot.cacheData } : deepClone(snapshot.cacheData)
+		this.cacheMetadata = deepClone(snapshot.cacheMetadata)
+		this.usage = undefined
+		this.rebuildRefIndex()
+		changes.removed.forEach(parsedPath => {
+			this.fireDeleteEvent(this.getSubPath(parsedPath), valueAt(oldData, parsedPath, this.config.idAttr), parsedPath)
+		})
+		changes.added.concat(changes.changed).forEach(parsedPath => {
+			const path = this.getSubPath(parsedPath)
+			const value = valueAt(this.cacheData, parsedPath, this.config.idAttr)
+			this.firePutEvent(path, value, parsedPath, valueAt(oldData, parsedPath, this.config.idAttr))
+		})
+		this.schedulePersist()
+		return this
+	}
+
+	/**
+	 * List the differences between two snapshots, e.g. to assert exactly what a `get()` or `put()` changed.
+	 * Paths are compared down to their leaves. When a whole subtree was added or removed, then only its root is listed.
+	 * Array items with an id are matched by their id, other array items by their index.
+	 * @param {Object} snapA the earlier snapshot
+	 * @param {Object} snapB the later snapshot (default: the current content of the cache)
+	 * @returns {Object} `{ added, changed, removed }` lists of normalized paths, e.g. `[ [{posts: 5}, "title"] ]`
+	 */
+	diff(snapA, snapB = { cacheData: this.cacheData }) {
+		const changes = diffValues(snapA.cacheData, snapB.cacheData, [], this.config.idAttr)
+		return {
+			added: changes.added.map(parsedPath => this.getSubPath(parsedPath)),
+			changed: changes.changed.map(parsedPath => this.getSubPath(parsedPath)),
+			removed: changes.removed.map(parsedPath => this.getSubPath(parsedPath)),
+		}
+	}
+
+	/**
+	 * PUT value into the cache right away and then call the backend to save it, e.g. when the user edits a post.
+	 *
+	 * When the mutation fails, then the value and metadata that were at path before are restored
+	 * and subscribers are notified with `onPut` (or `onDelete` when there was no value before).
+	 * The cache is not reverted when meanwhile another value has been PUT at path.
+	 *
+	 * @param {Array|String} path path to the value
+	 * @param {Any} value the new value
+	 * @param {Function|Promise} mutation the call to your backend: Either a Promise or a function `mutation(value)` that returns one
+	 * @param {Object} options options for PUT. Pass `storeResponse: true` to PUT the server's response into the cache on success.
+	 * @returns {Promise} resolves to the server's response
+	 * @rejects with the error of mutation after the cache has been reverted
+	 * @throws when path is invalid or in the form "array[]"
+	 */
+	optimisticPut(path, value, mutation, options) {
+		const opts = { ...this.config, ...options }
+		const parsedPath = this.parsePath(path)
+		if (parsedPath[parsedPath.length - 1].appendArray) throw new Error('optimisticPut() cannot append to "array[]". Put under an id.')
+		const prior = this.findElem(parsedPath)
+		this.put(path, value, options)
+		const optimisticValue = this.findElem(parsedPath).value
+
+		let pending
+		try {
+			pending = Promise.resolve(typeof mutation === "function" ? mutation(value) : mutation)
+		} catch(err) {
+			pending = Promise.reject(err)
+		}
+		return pending.then(response => {
+			if (opts.storeResponse && response !== undefined) this.put(path, response, options)
+			return response
+		}, err => {
+			const current = this.findElem(parsedPath)
+			if (current && current.value === optimisticValue) {
+				if (prior) {
+					this.put(path, prior.value, { ...options, merge: false })
+					this.findElem(parsedPath).replaceMetadata(prior.metadata)
+				} else {
+					this.delete(path)
+				}
+			}
+			return Promise.reject(err)
+		})
+	}
+
+	/**
+	 * Delete an element and its metadata from the cache.
+	 *  - A plain "key" is removed from its parent object.
+	 *  - "array[index]" will be set to undefined, so that the length of the array and the indexes of the following elements do not change.
+	 *  - "key/id" is removed from its collection. The following elements move up.
+	 * 
+	 * Subscribers are notified with `onDelete(path, deletedValue)`. Nothing happens, when there is no element at path.
+	 * 
+	 * @param {Array} path path to the element that shall be deleted
+	 * @returns {Any} the deleted value or undefined if there was no element at path
+	 * @throws when path is invalid or in the form "array[]"
+	 */
+	delete(path) {
+		const parsedPath = this.parsePath(path)
+		const removed = this.removeElem(parsedPath)
+		if (!removed) return undefined
+		this.fireDeleteEvent(path, removed.value, parsedPath)
+		this.schedulePersist()
+		return removed.value
+	}
+
+	/**
+	 * Find the element at parsedPath without changing anything and without calling the backend.
+	 * @param {Array} parsedPath normalized path to the element
+	 * @returns {Object} `{ value, metadata, index, replaceMetadata(newMetadata) }` or undefined when there is no element at parsedPath.
+	 *   `index` is the position of array items.
+	 */
+	findElem(parsedPath) {
+		const idAttr = this.config.idAttr
+		const { key, id, index } = parsedPath[parsedPath.length - 1]
+		const found = walkToParent(this.cacheData, this.cacheMetadata, parsedPath, idAttr, (parent, k) => parent[k])
+		if (!found) return undefined
+		const { parent, metaParent } = found
+		let container = parent
+		let metaContainer = metaParent
+		let slot = key
+		if (id !== undefined || index !== undefined) {
+			if (!Array.isArray(parent[key])) return undefined
+			slot = id !== undefined ? findIndexById(parent[key], id, idAttr) : index
+			if (slot < 0 || slot >= parent[key].length) return undefined
+			container = parent[key]
+			metaContainer = metaParent && metaParent[key]
+		} else if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+			return undefined
+		}
+		return {
+			value: container[slot],
+			metadata: metaContainer ? metaContainer[slot] : undefined,
+			index: container === parent ? undefined : slot,
+			replaceMetadata: (newMetadata) => {
+				if (!metaContainer) return
+				this.trackUsage(slot, undefined, undefined, metaContainer[slot], newMetadata)
+				if (newMetadata === undefined && !Array.isArray(metaContainer)) delete metaContainer[slot]
+				else metaContainer[slot] = newMetadata
+			},
+		}
+	}
+
+	/**
+	 * Remove the element at parsedPath from cacheData and cacheMetadata without notifying anyone.
+	 * Frozen containers along the path are replaced by (frozen) shallow copies.
+	 * @param {Array} parsedPath normalized path to the element
+	 * @returns {Object} `{ value }` with the removed value or undefined when there was no element at parsedPath
+	 */
+	removeElem(parsedPath) {
+		const idAttr = this.config.idAttr
+		const { key, id, index, appendArray } = parsedPath[parsedPath.length - 1]
+		if (appendArray) throw new Error('Cannot delete "array[]". Path must point to an existing element.')
+
+		// First check that there is an element at parsedPath, without changing anything
+		const found = walkToParent(this.cacheData, this.cacheMetadata, parsedPath, idAttr, (parent, k) => parent[k])
+		if (!found) return undefined
+		let slot = key
+		if (id !== undefined || index !== undefined) {
+			const array = found.parent[key]
+			if (!Array.isArray(array)) return undefined
+			slot = id !== undefined ? findIndexById(array, id, idAttr) : index
+			if (slot < 0 || slot >= array.length) return undefined
+		} else if (!Object.prototype.hasOwnProperty.call(found.parent, key)) {
+			return undefined
+		}
+
+		// The DBrefs in the element are indexed with the ids of array items. Resolve them before the element is gone.
+		const referrerPath = resolveIndexes(this.cacheData, parsedPath, idAttr)
+		const oldMetadata = this.findElem(parsedPath).metadata
+
+		// Then walk again, replace frozen containers by copies and remove the element
+		const refreeze = []
+		const { parent, metaParent } = walkToParent(this.cacheData, this.cacheMetadata, parsedPath, idAttr,
+			(p, k) => thawChild(p, k, refreeze, false))
+		let value
+		if (id !== undefined) {
+			const array = thawChild(parent, key, refreeze, false)
+			value = array.splice(slot, 1)[0]
+			if (metaParent && Array.isArray(metaParent[key])) metaParent[key].splice(slot, 1)
+		} else if (index !== undefined) {
+			const array = thawChild(parent, key, refreeze, false)
+			value = array[slot]
+			array[slot] = undefined
+			if (metaParent && Array.isArray(metaParent[key])) metaParent[key][slot] = undefined
+		} else {
+			value = parent[key]
+			delete parent[key]
+			if (metaParent) delete metaParent[key]
+		}
+		refreeze.forEach(container => Object.freeze(container))
+		this.unindexRefs(referrerPath)
+		this.trackUsage(slot, value, undefined, oldMetadata, undefined)
+		return { value }
+	}
+	
+	/**
+	 * Check if a path points to a defined and not yet expired value in the cache.
+	 * If path points to an `undefined` value, then isInCache will return false.
+	 * This method will not change the content of the cache or metadata and will not call the backend at all.
+	 * (Use `getSync(path)` to fetch the value at a path.)
+	 * 
+	 * @param {Array} path path to an element in the cache
+	 * @param {Boolean} populate wether to populate DBrefs along path
+	 * @return {Boolean} true if there is a value !== undefind at that path and it is not yet expired.
+	 */
+	isInCache(path) {
+		try {
+			let value = this.getSync(path, { recordAccess: false })
+			return value !== undefined
+		} catch(err) {
+			return false // value is expired
+		}
+	}
+
+	/**
+	 * Get (a direct reference!) to all the data in the cache.
+	 * The cacheData is exactly as returned by `fetchFunc(path)`
+	 * When `returnClones` is configured, then a deep clone of the data is returned instead.
+	 */
+	getCacheData() {
+		return this.config.returnClones ? deepClone(this.cacheData) : this.cacheData
+	}
+
+	/**
+	 * While you `put` values into the cache, Populating-Cache automatically
+	 * creates a second parallel tree of metadata next to the `cacheData`.
+	 * The metadata contains the time to life (TTL) of the value in the cache.
+	 * `ttl` is the number of milliseconds since the epoc, when a value will expire.
+	 * @param {Array} path fetch metadata of a specific element. If null or undefind, then all metadata of the whole cache is returned.
+	 * @returns {Object} metadata of cached value under path, e.g. { ttl: 55235325000, type: "Integer"}
+	 */
+	getMetadata(path) {
+		if (!path) return this.cacheMetadata
+		let metadataElem = this.cacheMetadata || {}
+		const parsedPath = this.parsePath(path)
+
+		// Walk along path and insert intermediate objects as necessary
+		for (let i = 0; i < parsedPath.length; i++) {
+			const key = parsedPath[i].key
+			const id = parsedPath[i].id
+			const index = parsedPath[i].index
+			if (!metadataElem || !metadataElem[key]) return undefined
+
+			// If path[i] is a plain string, then step into that key.
+			if (key && index === undefined && id === undefined) {
+				metadataElem = metadataElem[key]
+			}
+			// If path[i] is a string that defines an array element "key[<number>]" then step into that array element.
+			else if (key && index >= 0 && id === undefined) {
+				metadataElem = metadataElem[key][index]
+			}
+			// If path[i] was "key/id" or {key:id}, then find the element from "key"-array with a matching _id and step into it.
+			else if (key && index === undefined && id) {
+				const index = metadataElem[key].findIndex((e) => e && e[this.config.idAttr] === id)
+				// if there is no metadataElem with a matching _id, then immideately return undefined
+				if (index === -1) return undefined 				
+				metadataElem = metadataElem[key][index]
+			} else {
+				throw Error(`Invalid path element ${i}: ${JSON.stringify(path[i])}`)
+			}
+		}
+		return metadataElem
+	}
+
+	/**
+	 * Time to live for values that are PUT under path without an explicit `ttl`:
+	 * The TTL of the first rule in `ttlRules` whose pattern matches path, or else the default `ttl` from the config.
+	 * @param {String|Array|Object} path a path in any form that `parsePath()` accepts
+	 * @returns {Number} time to live in milliseconds
+	 */
+	getTTL(path) {
+		const rule = findTtlRule(this.ttlRules, this.parsePath(path))
+		return rule ? rule.ttl : this.config.ttl
+	}
+
+	/**
+	 * Completely empty the cache and delte all values in it. This also clears out all metadata.
+	 */
+	emptyCache() {
+		this.cacheData = {}
+		this.cacheMetadata = {}
+		this.usage = undefined
+		this.refIndex.clear()
+		this.schedulePersist()
+	}
+
+	/**
+	 * Recursively walk through the cacheData and delete all expired elements.
+	 * You may call this from time to time to optimize the cache's memory consumption
+	 * Subscribers are notified with `onExpire(path, expiredValue, normalizedPath)`.
+	 * @returns {Number} the number of deleted elements
+	 */
+	deleteExpiredElems() {
+		const expired = collectExpiredElems(this.cacheData, this.cacheMetadata, this.config.idAttr)
+		expired.forEach(elem => {
+			this.removeElem(elem.parsedPath)
+			this.fireEvent("onExpire", this.getSubPath(elem.parsedPath), elem.parsedPath, elem.value)
+		})
+		if (expired.length > 0) this.schedulePersist()
+		return expired.length
+	}
+
+	/**
+	 * Mark the value at path as expired without deleting it, e.g. when you know that it has changed in the backend.
+	 * Its TTL is set into the past. Then `get()` fetches it again, while `getSync()` and `isInCache()` report it as expired.
+	 * The old value stays in the cache until it is refreshed, e.g. for `STALE_WHILE_REVALIDATE`.
+	 *
+	 * Only values that have been PUT have a TTL. With `recursive: true` all values below path are invalidated, too,
+	 * e.g. `invalidate("posts", { recursive: true })` invalidates each post that has been PUT under "posts/id".
+	 * Subscribers are notified with `onInvalidate(path, value, normalizedPath)` for every value that has been invalidated.
+	 *
+	 * @param {String|Array|Object} path path to the value
+	 * @param {Object} options `{ recursive: false }`
+	 * @returns {Number} the number of invalidated values. Values that are already expired are not counted.
+	 * @throws when path is invalid
+	 */
+	invalidate(path, options = {}) {
+		const parsedPath = this.parsePath(path)
+		const elem = this.findElem(parsedPath)
+		if (!elem) return 0
+		const elems = options.recursive
+			? collectTtlElems(elem.value, elem.metadata, parsedPath, this.config.idAttr)
+			: elem.metadata && !Array.isArray(elem.metadata) && elem.metadata.ttl !== undefined ? [{ parsedPath, ...elem }] : []
+		const now = Date.now()
+		const invalidated = elems.filter(e => e.metadata.ttl >= now)
+		invalidated.forEach(e => {
+			e.metadata.ttl = now - 1
+			this.fireEvent("onInvalidate", this.getSubPath(e.parsedPath), e.parsedPath, e.value)
+		})
+		if (invalidated.length > 0) this.schedulePersist()
+		return invalidated.length
+	}
+
+	/**
+	 * Start a timer that regularly calls `deleteExpiredElems()`. A running sweeper is restarted.
+	 * After each run `onSweep(numberOfDeletedElems)` from the config is called.
+	 * Call `stopSweeper()` or `dispose()` when you no longer need the cache. Otherwise the timer keeps running.
+	 * @param {Number} intervalMs milliseconds between two runs (default: configured `sweepIntervalMs`)
+	 */
+	startSweeper(intervalMs = this.config.sweepIntervalMs) {
+		if (!(intervalMs > 0)) throw new Error("Cannot start sweeper. Need an interval > 0, but was " + intervalMs)
+		this.stopSweeper()
+		this.sweepTimer = setInterval(() => {
+			const count = this.deleteExpiredElems()
+			if (typeof this.config.onSweep === "function") this.config.onSweep(count)
+		}, intervalMs)
+	}
+
+	/**
+	 * Stop the timer that has been started with `startSweeper()` or by the `sweepIntervalMs` config.
+	 */
+	stopSweeper() {
+		if (this.sweepTimer) clearInterval(this.sweepTimer)
+		this.sweepTimer = undefined
+	}
+
+	/**
+	 * Stop all timers of this cache. Changes that have not yet been persisted are written to the storage immediately.
+	 * Queued write-behinds are sent to the backend immediately (once, without further retries).
+	 * @returns {Promise} resolves when pending changes have been persisted
+	 */
+	dispose() {
+		this.stopSweeper()
+		if (this.writeQueue.size > 0) this.flushWrites({ writeRetries: 0 })
+		return this.persistTimer ? this.persist() : Promise.resolve()
+	}
+
+	// ============ statistics ==============
+
+	/**
+	 * How effective is the cache? Statistics about calls to `get()` (getSync() is not counted):
+	 *  - `hits` fresh values returned from the cache
+	 *  - `misses` values that were not in the cache
+	 *  - `expiredHits` values that were in the cache, but expired
+	 *  - `backendCalls` finished calls to fetchFunc or fetchManyFunc (one per path). Concurrent GETs of a path are only one call.
+	 *  - `fetchErrors` backend calls that failed
+	 *  - `fetchMs`, `avgFetchMs` and `maxFetchMs` total, average and maximum duration of backend calls in milliseconds
+	 *  - `hitRate` hits / (hits + misses + expiredHits)
+	 * Intermediate elements along a path are also counted when they are expired.
+	 * @returns {Object} the global statistics and the same numbers for each top-level key in `byKey`, e.g. `stats.byKey.posts.hits`
+	 */
+	getStats() {
+		const byKey = {}
+		Object.keys(this.stats.byKey).forEach(key => { byKey[key] = withRates(this.stats.byKey[key]) })
+		return { ...withRates(this.stats), byKey }
+	}
+
+	/** Set all statistics back to zero */
+	resetStats() {
+		this.stats = emptyStats()
+	}
+
+	/**
+	 * Count one event for getStats() globally and for the top-level key of path. Then call the `onStats` hook if there is one.
+	 * @param {String} stat name of the counter, e.g. "hits"
+	 * @param {Array} path the path of the value
+	 * @param {Number} durationMs duration of a backend call
+	 */
+	recordStat(stat, path, durationMs) {
+		const key = this.parsePath(path)[0].key
+		const keyStats = this.stats.byKey[key] || (this.stats.byKey[key] = emptyStats(false))
+		for (const stats of [this.stats, keyStats]) {
+			stats[stat]++
+			if (durationMs !== undefined) {
+				stats.fetchMs += durationMs
+				stats.maxFetchMs = Math.max(stats.maxFetchMs, durationMs)
+			}
+		}
+		if (typeof this.config.onStats === "function") {
+			try {
+				this.config.onStats({ stat, path, key, durationMs })
+			} catch(err) {
+				console.warn("onStats hook failed: " + err)
+			}
+		}
+	}
+
+	// ============ debugging ==============
+
+	/**
+	 * Merged view of cacheData and cacheMetadata for debugging. Each node of the returned tree has
+	 *  - `key` label of the node, e.g. "posts", "posts/5" or "items[2]"
+	 *  - `path` normalized path of the node
+	 *  - `type` "object", "array", "dbref", "string", "number", ... or "null"
+	 *  - `value` the value of scalar nodes
+	 *  - `ttl` remaining time to live in milliseconds (only for nodes that have been PUT). Negative when expired.
+	 *  - `fetchError` the error of a failed refresh of the node while it is remembered for `fetchErrorTtl`
+	 *  - `expired` true when the node or one of its parents is expired
+	 *  - `ref` and `refInCache` for DBrefs: the referenced path and whether a valid value for it is in the cache
+	 *  - `children` of objects and arrays
+	 * @param {Array|String} path optional path of the subtree. Default: the whole cache
+	 * @returns {Object} the root node of the (sub)tree or undefined when there is no value at path
+	 */
+	inspect(path) {
+		const now = Date.now()
+		if (path === undefined || path === "" || (Array.isArray(path) && path.length === 0)) {
+			return this.inspectNode("", [], this.cacheData, this.cacheMetadata, false, now)
+		}
+		const parsedPath = this.parsePath(path)
+		const elem = this.findElem(parsedPath)
+		if (!elem) return undefined
+		let parentExpired = false
+		for (let i = 1; i < parsedPath.length && !parentExpired; i++) {
+			const parent = this.findElem(parsedPath.slice(0, i))
+			parentExpired = !!(parent && parent.metadata && parent.metadata.ttl < now)
+		}
+		const normalizedPath = this.getSubPath(parsedPath)
+		const label = typeof normalizedPath[normalizedPath.length - 1] === "string"
+			? normalizedPath[normalizedPath.length - 1]
+			: `${parsedPath[parsedPath.length - 1].key}/${parsedPath[parsedPath.length - 1].id}`
+		return this.inspectNode(label, normalizedPath, elem.value, elem.metadata, parentExpired, now)
+	}
+
+	/**
+	 * Render the tree from `inspect(path)` as text, e.g. for `console.log(cache.inspectText())`
+	 * @param {Array|String} path optional path of the subtree. Default: the whole cache
+	 * @returns {String} one line per node
+	 */
+	inspectText(path) {
+		const node = this.inspect(path)
+		if (!node) return `Nothing in the cache at ${JSON.stringify(path)}`
+		return renderNode(node, "", "", true).join("\n")
+	}
+
+	/**
+	 * Recursive part of inspect(): Create the node for one value and its metadata.
+	 * `metadata` is the parallel element in cacheMetadata: an object with ttl and the metadata of children, an array
+	 * with the metadata of array items or undefined.
+	 */
+	inspectNode(label, nodePath, value, metadata, parentExpired, now) {
+		const ownMetadata = metadata && !Array.isArray(metadata) && metadata.ttl !== undefined ? metadata : undefined
+		const node = { key: label, path: nodePath }
+		node.type = value === null ? "null" : Array.isArray(value) ? "array" : typeof value
+		if (ownMetadata) node.ttl = ownMetadata.ttl - now
+		if (ownMetadata && ownMetadata.fetchError && ownMetadata.fetchError.until > now) node.fetchError = ownMetadata.fetchError.error
+		node.expired = parentExpired || (ownMetadata !== undefined && ownMetadata.ttl < now)
+
+		if (value && value[this.config.referencedPathAttr]) {
+			node.type = "dbref"
+			node.ref = value[this.config.referencedPathAttr]
+			node.refInCache = this.isInCache(node.ref)
+		} else if (Array.isArray(value)) {
+			const key = label.replace(/(\/.*|\[\d+\])$/, "")
+			node.children = value.map((item, i) => {
+				const id = item && item[this.config.idAttr]
+				const childLabel = id !== undefined ? `${key}/${id}` : `${key}[${i}]`
+				const childPath = [...nodePath.slice(0, -1), id !== undefined ? {[key]: id} : `${key}[${i}]`]
+				return this.inspectNode(childLabel, childPath, item, Array.isArray(metadata) ? metadata[i] : undefined, node.expired, now)
+			})
+		} else if (value && typeof value === "object" && !(value instanceof Date)) {
+			node.children = Object.keys(value).map(key => {
+				const childMetadata = metadata && !Array.isArray(metadata) ? metadata[key] : undefined
+				return this.inspectNode(key, [...nodePath, key], value[key], childMetadata, node.expired, now)
+			})
+		} else {
+			node.value = value
+		}
+		return node
+	}
+
+	// ============ size limit ==============
+
+	/**
+	 * Remember that the value with this metadata has just been used.
+	 * @param {Object} metadataElem metadata of a value in the cache. Nothing is recorded for intermediate elements without a TTL.
+	 */
+	recordAccess(metadataElem) {
+		if (metadataElem && metadataElem.ttl !== undefined) metadataElem.lastAccess = this.nextAccessStamp()
+	}
+
+	/**
+	 * Timestamp for the next access. This is the current time, but strictly increasing, so that accesses within the same
+	 * millisecond can still be ordered.
+	 */
+	nextAccessStamp() {
+		this.lastAccessStamp = Math.max(Date.now(), this.lastAccessStamp + 1)
+		return this.lastAccessStamp
+	}
+
+	/**
+	 * When the cache has more than `maxEntries` entries or is larger than `maxBytes`, then remove the least recently used
+	 * entries until it fits again. An entry is a value that has been PUT into the cache. Only leaf entries and collection
+	 * members are evicted, i.e. entries that do not contain other entries. Using a value below an entry also counts as a use of the entry.
+	 * Subscribers are notified with `onEvict(path, evictedValue, normalizedPath)`.
+	 * @param {Number} protectedStamp entries used at or after this time are not evicted, e.g. the value that has just been PUT
+	 * @returns {Number} the number of evicted entries
+	 */
+	evictLeastRecentlyUsed(protectedStamp = this.lastAccessStamp) {
+		const { maxEntries, maxBytes, idAttr } = this.config
+		if (!maxEntries && !maxBytes) return 0
+		if (!this.usage) this.usage = { entries: countEntries(this.cacheMetadata), bytes: approximateSize(this.cacheData) }
+		const fits = () => !(maxEntries > 0 && this.usage.entries > maxEntries) && !(maxBytes > 0 && this.usage.bytes > maxBytes)
+		let evicted = 0
+		while (!fits()) {
+			// The candidates are only collected when the cache actually is too large
+			const candidates = collectEntries(this.cacheData, this.cacheMetadata, idAttr)
+				.filter(entry => entry.leaf && entry.recency < protectedStamp)
+				.sort((a, b) => a.recency - b.recency)
+			let evictedInRound = 0
+			for (const lru of candidates) {
+				const removed = this.removeElem(lru.parsedPath)
+				if (!removed) break
+				this.fireEvent("onEvict", this.getSubPath(lru.parsedPath), lru.parsedPath, removed.value)
+				evicted++
+				evictedInRound++
+				if (fits()) return evicted
+				// Removing an array item shifts the indexes of the collected paths behind it
+				if (lru.parsedPath.some(el => el.index !== undefined)) break
+			}
+			// Start a new round, because evicted entries may have turned their parents into leaves
+			if (evictedInRound === 0) break
+		}
+		return evicted
+	}
+
+	/**
+	 * Update `this.usage` when the value or metadata under key (or array index) in a container is replaced.
+	 * Pass undefined for a value or metadata that is added or removed. Nothing is tracked before the usage has been measured.
+	 */
+	trackUsage(key, oldValue, newValue, oldMetadata, newMetadata) {
+		if (!this.usage) return
+		this.usage.entries += countEntries(newMetadata) - countEntries(oldMetadata)
+		this.usage.bytes += memberSize(key, newValue) - memberSize(key, oldValue)
+	}
+
+	// ============ persistence ==============
+
+	/**
+	 * Load cacheData and cacheMetadata from the configured `storage` adapter.
+	 * This is automatically called when the cache is created. Expired elements are not restored.
+	 * When the adapter loads synchronously (e.g. LocalStorageAdapter), then the values are available right after the constructor.
+	 * @returns {Promise} resolves when the stored values have been restored. Never rejects. Loading errors are logged as a warning.
+	 */
+	hydrate() {
+		const storage = this.config.storage
+		if (!storage) return Promise.resolve()
+		const warn = (err) => console.warn("Cannot restore cache from storage: " + err)
+		try {
+			const stored = storage.load()
+			if (stored && typeof stored.then === "function") {
+				return stored.then(state => this.restoreState(state)).catch(warn)
+			}
+			this.restoreState(stored)
+		} catch(err) {
+			warn(err)
+		}
+		return Promise.resolve()
+	}
+
+	/**
+	 * Merge a loaded state into the cache. Values that have been PUT in the meantime win over loaded ones.
+	 * Flags of queued writes and remembered fetch failures are not restored. They only describe the instance that stored them.
+	 * @param {Object} state `{ cacheData, cacheMetadata }` as loaded from the storage adapter
+	 */
+	restoreState(state) {
+		if (!state || !state.cacheData) return
+		this.cacheData = { ...state.cacheData, ...this.cacheData }
+		this.cacheMetadata = { ...persistableMetadata(state.cacheMetadata), ...this.cacheMetadata }
+		this.usage = undefined
+		collectExpiredElems(this.cacheData, this.cacheMetadata, this.config.idAttr).forEach(elem => this.removeElem(elem.parsedPath))
+		this.rebuildRefIndex()
+	}
+
+	/**
+	 * Write the cache to the storage adapter after `persistDebounceMs`.
+	 * Each further change within that time restarts the timer, so that many changes result in only one write.
+	 */
+	schedulePersist() {
+		if (!this.config.storage || this.transactionEvents) return   // a transaction persists when it commits
+		if (this.persistTimer) clearTimeout(this.persistTimer)
+		this.persistTimer = setTimeout(() => {
+			this.persist().catch(err => console.warn("Cannot persist cache: " + err))
+		}, this.config.persistDebounceMs)
+	}
+
+	/**
+	 * Immediately write cacheData and cacheMetadata to the storage adapter. A scheduled write is cancelled.
+	 * The flags of queued writes and remembered fetch failures are not stored, because the write queue and the fetches only live in memory.
+	 * @returns {Promise} resolves when the adapter has saved the values
+	 * @rejects when the storage adapter cannot save
+	 */
+	persist() {
+		if (this.persistTimer) clearTimeout(this.persistTimer)
+		this.persistTimer = undefined
+		if (!this.config.storage) return Promise.resolve()
+		try {
+			const state = { cacheData: this.cacheData, cacheMetadata: persistableMetadata(this.cacheMetadata) }
+			return Promise.resolve(this.config.storage.save(state))
+		} catch(err) {
+			return Promise.reject(err)
+		}
+	}
+
+	// ============ writes to the backend ==============
+
+	/**
+	 * Save a value in the backend with `saveFunc(normalizedPath, value)` and PUT it into the cache.
+	 *
+	 * In write-through mode (the default) the value is PUT into the cache after the backend has saved it.
+	 * With the `writeBehind` option the value is PUT into the cache immediately and the write is queued. Queued writes are sent
+	 * to the backend after `writeDelayMs`. Several writes to the same path are collapsed into one. With a `saveManyFunc`
+	 * all queued writes are sent in one batch. Failed writes are retried `writeRetries` times with an increasing delay.
+	 * While a value waits to be written, its metadata has `pendingWrite: true`. When it finally fails, then its metadata has
+	 * a `writeError` and `onWriteError` listeners are notified.
+	 *
+	 * @param {Array|String} path path to the value
+	 * @param {Any} value the value to save
+	 * @param {Object} options override configuration, e.g. `writeBehind` or `storeResponse`
+	 * @returns {Promise} resolves to the response of saveFunc when the value has been saved in the backend
+	 * @rejects when the backend could not save the value (in write-behind mode after all retries)
+	 */
+	async save(path, value, options) {
+		const opts = { ...this.config, ...options }
+		const parsedPath = this.parsePath(path)
+		if (parsedPath[parsedPath.length - 1].appendArray) throw new Error('Cannot save "array[]". Save under an id.')
+		if (typeof opts.saveFunc !== "function" && !opts.writeBehind)
+			throw new Error("Need saveFunc to save value at path="+JSON.stringify(path))
+		if (opts.writeBehind) {
+			this.put(path, value, options)
+			return this.queueWrite(parsedPath, { value }, opts)
+		}
+		const response = await opts.saveFunc(this.getSubPath(parsedPath), value)
+		this.put(path, opts.storeResponse && response !== undefined ? response : value, options)
+		return response
+	}
+
+	/**
+	 * Delete a value in the backend with `deleteFunc(normalizedPath)` and in the cache.
+	 * Write-through and write-behind work like in `save()`.
+	 * @param {Array|String} path path to the value
+	 * @param {Object} options override configuration, e.g. `writeBehind`
+	 * @returns {Promise} resolves to the response of deleteFunc when the value has been deleted in the backend
+	 * @rejects when the backend could not delete the value (in write-behind mode after all retries)
+	 */
+	async destroy(path, options) {
+		const opts = { ...this.config, ...options }
+		const parsedPath = this.parsePath(path)
+		if (typeof opts.deleteFunc !== "function" && !opts.writeBehind)
+			throw new Error("Need deleteFunc to delete value at path="+JSON.stringify(path))
+		if (opts.writeBehind) {
+			this.delete(path)
+			return this.queueWrite(parsedPath, { deleted: true }, opts)
+		}
+		const response = await opts.deleteFunc(this.getSubPath(parsedPath))
+		this.delete(path)
+		return response
+	}
+
+	/**
+	 * Queue a write-behind. A queued write for the same path is replaced. Its callers are resolved when the new write succeeds.
+	 * @param {Array} parsedPath normalized path of the write
+	 * @param {Object} write `{ value }` or `{ deleted: true }`
+	 * @param {Object} opts configuration options
+	 * @returns {Promise} resolves when the write has been sent to the backend successfully
+	 */
+	queueWrite(parsedPath, write, opts) {
+		const normalizedPath = this.getSubPath(parsedPath)
+		const pathKey = JSON.stringify(normalizedPath)
+		const promise = new Promise((resolve, reject) => {
+			const queued = this.writeQueue.get(pathKey)
+			this.writeQueue.set(pathKey, {
+				path: normalizedPath,
+				parsedPath: parsedPath,
+				...write,
+				attempts: 0,
+				callers: [...(queued ? queued.callers : []), { resolve, reject }],
+			})
+		})
+		this.markPendingWrite(parsedPath, true)
+		this.scheduleWrites(opts.writeDelayMs)
+		return promise
+	}
+
+	/**
+	 * Send all queued writes to the backend now. Writes that fail are queued again for a retry.
+	 * @param {Object} options override configuration, e.g. saveFunc or writeRetries
+	 * @returns {Promise} resolves when the backend has answered. Never rejects. Callers of save() receive the result.
+	 */
+	async flushWrites(options) {
+		const opts = { ...this.config, ...options }
+		if (this.writeTimer) clearTimeout(this.writeTimer)
+		this.writeTimer = undefined
+		const writes = [...this.writeQueue.values()]
+		this.writeQueue.clear()
+		if (writes.length === 0) return
+
+		let results
+		if (typeof opts.saveManyFunc === "function") {
+			const batch = writes.map(w => w.deleted ? { path: w.path, deleted: true } : { path: w.path, value: w.value })
+			try {
+				const responses = await opts.saveManyFunc(batch)
+				results = writes.map((w, i) => ({ status: "fulfilled", value: Array.isArray(responses) ? responses[i] : undefined }))
+			} catch(err) {
+				results = writes.map(() => ({ status: "rejected", reason: err }))
+			}
+		} else {
+			results = await Promise.allSettled(writes.map(w => Promise.resolve().then(() => {
+				if (w.deleted && typeof opts.deleteFunc !== "function") throw new Error("Need deleteFunc to delete "+JSON.stringify(w.path))
+				if (!w.deleted && typeof opts.saveFunc !== "function") throw new Error("Need saveFunc to save "+JSON.stringify(w.path))
+				return w.deleted ? opts.deleteFunc(w.path) : opts.saveFunc(w.path, w.value)
+			})))
+		}
+
+		let retryDelay = 0
+		writes.forEach((w, i) => {
+			const pathKey = JSON.stringify(w.path)
+			const newer = this.writeQueue.get(pathKey)
+			if (results[i].status === "fulfilled") {
+				if (!newer) this.markPendingWrite(w.parsedPath, false)
+				w.callers.forEach(c => c.resolve(results[i].value))
+			} else if (newer) {
+				// The value has changed meanwhile. Only the newer value needs to be written.
+				newer.callers.push(...w.callers)
+			} else if (w.attempts < opts.writeRetries) {
+				this.writeQueue.set(pathKey, { ...w, attempts: w.attempts + 1 })
+				const delay = opts.writeRetryDelayMs * Math.pow(2, w.attempts)
+				retryDelay = retryDelay ? Math.min(retryDelay, delay) : delay
+			} else {
+				this.markPendingWrite(w.parsedPath, false, results[i].reason)
+				this.fireEvent("onWriteError", w.path, w.parsedPath, results[i].reason)
+				w.callers.forEach(c => c.reject(results[i].reason))
+			}
+		})
+		if (retryDelay) this.scheduleWrites(retryDelay)
+	}
+
+	/**
+	 * List the writes that are queued and not yet sent to the backend.
+	 * @returns {Array} `{ path, value, deleted, attempts }` for each queued write
+	 */
+	getPendingWrites() {
+		return [...this.writeQueue.values()].map(w => ({ path: w.path, value: w.value, deleted: !!w.deleted, attempts: w.attempts }))
+	}
+
+	/** Flush the queued writes after delayMs, unless a flush is already scheduled. */
+	scheduleWrites(delayMs) {
+		if (this.writeTimer) return
+		this.writeTimer = setTimeout(() => {
+			this.writeTimer = undefined
+			this.flushWrites()
+		}, delayMs)
+	}
+
+	/** Set or clear the pending write status in the metadata of the value at parsedPath (if it is still in the cache) */
+	markPendingWrite(parsedPath, pending, writeError) {
+		const elem = this.findElem(parsedPath)
+		if (!elem || !elem.metadata) return
+		if (pending) {
+			elem.metadata.pendingWrite = true
+			delete elem.metadata.writeError
+		} else {
+			delete elem.metadata.pendingWrite
+			if (writeError !== undefined) elem.metadata.writeError = String(writeError)
+		}
+	}
+
+	// ============ helper methods ==============
+	
+	/**
+	 * Parse a path into a normalized array of `{ key, id, index, appendArray }` objects.
+	 * <b>Internally</b> populating-cache uses these normalized pathes.
+	 * See README.md for a detailed description about pathes in populating-cache.
+	 *
+	 * <h3>Elements of normalized path arrray</h3>
+	 * {
+	 *   "key": the string key of the path,
+	 *   "id":  the alphanumerical ID for path elements like "posts/4711",
+	 *   "index": numerical array index, eg. from "array[42]"
+	 *   "appendArray": boolean, only used for PUT, e.g. put("posts[]", {title: "new post"})
+	 * }
+	 * 
+	 * This is a static method, so that paths can be parsed without a cache instance, e.g. in a fetchFunc.
+	 *
+	 * @param {String|Array} path plain string or array of path elements
+	 * @returns {Array} Array of parsed objects { key, id, index, appendArray }. `id` or `index` may be undefind in each path element.
+	 * @throws an Error when path or a path element is invalid
+	 */
+	static parsePath(path) {
+		let result = []
+		if (!path) throw new Error("Cannot parse empty path.")
+		if (typeof path === "string") {
+			// If path is just a string, then split it at the dots
+			if (path.includes(".")) {
+				result = path.split(".")
 			} else {
 				result = [path]
 			}
@@ -689,6 +2158,16 @@ class PopulatingCache {
 		return result
 	}
 
+	/**
+	 * Parse a path into a normalized array of `{ key, id, index, appendArray }` objects. Same as `PopulatingCache.parsePath(path)`
+	 * @param {String|Array} path plain string or array of path elements
+	 * @returns {Array} Array of parsed objects { key, id, index, appendArray }
+	 * @throws an Error when path or a path element is invalid
+	 */
+	parsePath(path) {
+		return PopulatingCache.parsePath(path)
+	}
+
 	/**
 	 * This is the inverse of `parsePath(path)`. This method takes a parsedPathArray as input
 	 * and converts it back to a path as used by `put`, `get` and `fetchFunc`
@@ -713,53 +2192,608 @@ class PopulatingCache {
 	}
 
 	/**
-	 * Convert the given path to a REST URL path.
-	 * @param {Array} path a populating-cache path array
+	 * Convert the given path to a REST URL path, e.g. `[{posts: 5}, {comments: 42}]` or "posts/5.comments/42" to "/posts/5/comments/42"
+	 * "array[]" is converted to "/array", e.g. for a POST request that creates a new element in a collection.
+	 * @param {String|Array|Object} path a populating-cache path in any form that `parsePath()` accepts
+	 * @returns {String} the REST URL path. Ids are URL encoded.
+	 * @throws when path is invalid or contains "array[index]" elements, because there is no REST URL for array indexes
 	 */
-	path2rest(path) {
-		if (!Array.isArray(path)) throw Error("Path must be an array")
+	static path2rest(path) {
+		const parsedPath = PopulatingCache.parsePath(path)
 		let restPath = ""
-		for (let i = 0; i < path.length; i++) {
-			const el = [i]
-			if (typeof el === "string") {
-				if (el.includes("[")) throw new Error(`Cannot convert path with array[index] elements to REST URL: ${el}`)
-				restPath += `/${el}`
-			} else {
-				const key = Object.keys(el)[0]
-				restPath += `/${key}/${el[key]}`
+		for (let i = 0; i < parsedPath.length; i++) {
+			const el = parsedPath[i]
+			if (el.index !== undefined) {
+				throw new Error(`Cannot convert path with array[index] elements to REST URL: ${JSON.stringify(path)}`)
 			}
+			restPath += `/${el.key}`
+			if (el.id !== undefined) restPath += `/${encodeURIComponent(el.id)}`
 		}
 		return restPath
 	}
+
+	/**
+	 * Convert the given path to a REST URL path. Same as `PopulatingCache.path2rest(path)`
+	 * @param {String|Array|Object} path a populating-cache path in any form that `parsePath()` accepts
+	 * @returns {String} the REST URL path
+	 */
+	path2rest(path) {
+		return PopulatingCache.path2rest(path)
+	}
 	
 } // end of class
 
 
 // ======== private methods ==========
 
-let deleteExpiredElemsRec = function(elem, metadata) {
-	if (!elem) return
-	if (Array.isArray(elem)) {
-		for (let i = 0; i < elem.length; i++) {
-			const childMetadata = metadata ? metadata[i] : {}
-			if (childMetadata.ttl < Date.now()) {
-				elem[i] = undefined  // set array element to undefined, but keep array
-				metadata[i] = undefined
-			} else {
-				deleteExpiredElemsRec(elem[i], childMetadata)
+/**
+ * Parse a subscription pattern with wildcards, e.g. "posts/*.comments", "users/*", "**.author" or "posts[*]"
+ *  - "*" as key matches any key, as id any id and as index any array index
+ *  - "**" matches any number of path elements (also none)
+ * Besides the dot, elements may also be separated by slashes in REST style: "key/id/key/id"
+ * @param {String} pattern the pattern
+ * @returns {Array} parsed pattern in the same form as a parsed path. Wildcards are kept as "*" or "**".
+ * @throws when pattern is invalid
+ */
+let parsePattern = function(pattern) {
+	const result = []
+	pattern.split(".").forEach(part => {
+		const segments = part.split("/")
+		for (let i = 0; i < segments.length; i += 2) {
+			const match = segments[i].match(patternKeyRegEx)
+			if (!match) throw new Error(`Invalid key "${segments[i]}" in pattern "${pattern}"`)
+			const elem = { key: match.groups.key }
+			if (match.groups.index !== undefined) elem.index = match.groups.index === "*" ? "*" : parseInt(match.groups.index, 10)
+			if (i + 1 < segments.length) {
+				const id = segments[i + 1]
+				if (!patternIdRegEx.test(id)) throw new Error(`Invalid id "${id}" in pattern "${pattern}"`)
+				elem.id = /^[0-9]+$/.test(id) ? parseInt(id) : id
 			}
+			if (elem.key === "**" && (elem.id !== undefined || elem.index !== undefined))
+				throw new Error(`"**" cannot have an id or index in pattern "${pattern}"`)
+			result.push(elem)
+		}
+	})
+	return result
+}
+
+/**
+ * Parse the `ttlRules` from the config, e.g. `{ "users/*": 600000, "notifications": 5000 }`
+ * @returns {Array} list of `{ pattern, ttl }` with parsed patterns, in the order of the config
+ * @throws when a pattern is invalid or a TTL is not a number
+ */
+let parseTtlRules = function(ttlRules) {
+	if (!ttlRules) return []
+	return Object.entries(ttlRules).map(([pattern, ttl]) => {
+		if (typeof ttl !== "number") throw new Error(`TTL of rule "${pattern}" must be a number of milliseconds`)
+		try {
+			return { pattern: parsePattern(pattern), ttl }
+		} catch(err) {
+			throw new Error("Invalid pattern in ttlRules: " + err)
+		}
+	})
+}
+
+/**
+ * Check if parsedPath is a prefix of (or equal to) otherPath. An element without id or index covers any id or index.
+ * Ids are compared loosely, because ids in DBrefs may be strings while the values have numeric ids, and vice versa.
+ */
+let coversPath = function(parsedPath, otherPath) {
+	if (parsedPath.length > otherPath.length) return false
+	return parsedPath.every((elem, i) => elem.key === otherPath[i].key &&
+		(elem.id === undefined || elem.id == otherPath[i].id) &&
+		(elem.index === undefined || elem.index === otherPath[i].index))
+}
+
+/** Path element of an array item: by id when the item has one, otherwise by index */
+let itemPathElem = function(key, item, index, idAttr) {
+	return item && typeof item === "object" && item[idAttr] !== undefined ? { key, id: item[idAttr] } : { key, index }
+}
+
+/** parsedPath with each "array[index]" element replaced by the id of the item at that index in data (if it has one) */
+let resolveIndexes = function(data, parsedPath, idAttr) {
+	let value = data
+	return parsedPath.map(elem => {
+		let resolved = elem
+		value = value !== undefined && value !== null ? value[elem.key] : undefined
+		if (elem.id !== undefined) {
+			value = Array.isArray(value) ? value[findIndexById(value, elem.id, idAttr)] : undefined
+		} else if (elem.index !== undefined) {
+			value = Array.isArray(value) ? value[elem.index] : undefined
+			resolved = itemPathElem(elem.key, value, elem.index, idAttr)
+		}
+		return resolved
+	})
+}
+
+/**
+ * Recursively collect the DBrefs in value, which is stored at parsedPath.
+ * Arrays that are directly nested in arrays cannot be addressed by a path. DBrefs in them are skipped.
+ * @returns {Array} list of `{ referrer, refPath }` where referrer is the parsed path of the DBref
+ */
+let collectDbRefs = function(value, parsedPath, referencedPathAttr, idAttr, refs = []) {
+	if (!value || typeof value !== "object") return refs
+	if (value[referencedPathAttr] !== undefined) {
+		refs.push({ referrer: parsedPath, refPath: value[referencedPathAttr] })
+	} else if (Array.isArray(value)) {
+		const last = parsedPath[parsedPath.length - 1]
+		if (last.id !== undefined || last.index !== undefined) return refs
+		value.forEach((item, index) => {
+			collectDbRefs(item, [...parsedPath.slice(0, -1), itemPathElem(last.key, item, index, idAttr)], referencedPathAttr, idAttr, refs)
+		})
+	} else {
+		for (const key in value) collectDbRefs(value[key], [...parsedPath, { key }], referencedPathAttr, idAttr, refs)
+	}
+	return refs
+}
+
+/** @returns {Object} the first rule in ttlRules whose pattern matches the full parsedPath, or undefined */
+let findTtlRule = function(ttlRules, parsedPath) {
+	return ttlRules.find(rule => matchPattern(rule.pattern, parsedPath, true))
+}
+
+/**
+ * Match a parsed path against the parsed path of a subscription, which may contain wildcards.
+ * Without exact, the pattern only needs to match a prefix of parsedPath.
+ * A pattern element without id or index matches path elements with any id or index.
+ * @returns {Array} the values matched by the wildcards or undefined if parsedPath does not match
+ */
+let matchPattern = function(pattern, parsedPath, exact, wildcards = []) {
+	if (pattern.length === 0) return !exact || parsedPath.length === 0 ? wildcards : undefined
+	const [elem, ...restPattern] = pattern
+	if (elem.key === "**") {
+		// Try to match as few path elements as possible
+		for (let n = 0; n <= parsedPath.length; n++) {
+			const match = matchPattern(restPattern, parsedPath.slice(n), exact, [...wildcards, parsedPath.slice(0, n)])
+			if (match) return match
 		}
-	} else if (typeof elem === "object") {
+		return undefined
+	}
+	if (parsedPath.length === 0) return undefined
+	const pathElem = parsedPath[0]
+	const matched = [...wildcards]
+	if (elem.key === "*") matched.push(pathElem.key)
+	else if (elem.key !== pathElem.key) return undefined
+	if (elem.id === "*") {
+		if (pathElem.id === undefined) return undefined
+		matched.push(pathElem.id)
+	} else if (elem.id !== undefined && elem.id !== pathElem.id) return undefined
+	if (elem.index === "*") {
+		if (pathElem.index === undefined) return undefined
+		matched.push(pathElem.index)
+	} else if (elem.index !== undefined && elem.index !== pathElem.index) return undefined
+	return matchPattern(restPattern, parsedPath.slice(1), exact, matched)
+}
+
+/**
+ * Collect the referenced paths of all DBrefs in elem that populate() would substitute.
+ * @returns {Array} list of referenced paths
+ */
+let collectRefPaths = function(elem, refProp, referencedPathAttr, refPaths = []) {
+	if (Array.isArray(elem)) {
+		elem.forEach(item => {
+			if (item && item[referencedPathAttr]) refPaths.push(item[referencedPathAttr])
+			else collectRefPaths(item, refProp, referencedPathAttr, refPaths)
+		})
+	} else if (elem && typeof elem === "object") {
 		for (const key in elem) {
-			const childMetadata = metadata[key] || {}
-			if (childMetadata.ttl < Date.now()) {
-				delete elem[key]		// delete object property completely
-				delete metadata[key]
-			} else {
-				deleteExpiredElemsRec(elem[key], childMetadata)
-			}
+			if (key === refProp && elem[key] && elem[key][referencedPathAttr]) refPaths.push(elem[key][referencedPathAttr])
+			else collectRefPaths(elem[key], refProp, referencedPathAttr, refPaths)
+		}
+	}
+	return refPaths
+}
+
+/**
+ * Collect the referenced paths of the DBrefs that populateProps() would substitute first, i.e. before any DBref has been resolved.
+ * @param {Array} segmentsList list of property paths, each one split into its segments
+ * @returns {Array} list of referenced paths
+ */
+let collectPropRefPaths = function(elem, segmentsList, referencedPathAttr, refPaths = []) {
+	segmentsList.forEach(segments => {
+		if (elem && elem[referencedPathAttr]) refPaths.push(elem[referencedPathAttr])
+		else if (Array.isArray(elem)) elem.forEach(item => collectPropRefPaths(item, [segments], referencedPathAttr, refPaths))
+		else if (elem && typeof elem === "object" && segments.length > 0) {
+			collectPropRefPaths(elem[segments[0]], [segments.slice(1)], referencedPathAttr, refPaths)
+		}
+	})
+	return refPaths
+}
+
+/** Call fn with value. When value is a Promise, then call fn when it resolves. */
+let whenResolved = function(value, fn) {
+	return value && typeof value.then === "function" ? value.then(fn) : fn(value)
+}
+
+/** Like Promise.all(), but returns the values directly when none of them is a Promise */
+let allResolved = function(values) {
+	return values.some(value => value && typeof value.then === "function") ? Promise.all(values) : values
+}
+
+/** Counters for getStats(). The global statistics additionally have `byKey`. */
+let emptyStats = function(withByKey = true) {
+	const stats = { hits: 0, misses: 0, expiredHits: 0, backendCalls: 0, fetchErrors: 0, fetchMs: 0, maxFetchMs: 0 }
+	if (withByKey) stats.byKey = {}
+	return stats
+}
+
+/** Copy of the counters in stats plus their average fetch time and hit rate */
+let withRates = function(stats) {
+	const counters = { ...stats }
+	delete counters.byKey
+	const lookups = counters.hits + counters.misses + counters.expiredHits
+	return {
+		...counters,
+		avgFetchMs: counters.backendCalls > 0 ? counters.fetchMs / counters.backendCalls : 0,
+		hitRate: lookups > 0 ? counters.hits / lookups : 0,
+	}
+}
+
+/**
+ * Render a node from inspect() and its children as lines of text
+ * @param {String} prefix indentation for the children of node
+ * @returns {Array} lines
+ */
+let renderNode = function(node, linePrefix, prefix, isRoot) {
+	let line = linePrefix + (isRoot && node.key === "" ? "(cache)" : node.key) + "  " + node.type
+	if (node.type === "dbref") line += " -> " + JSON.stringify(node.ref) + (node.refInCache ? "" : " (not in cache)")
+	if ("value" in node) {
+		const json = node.value === undefined ? "undefined" : JSON.stringify(node.value)
+		line += " " + (json.length > 40 ? json.substring(0, 37) + "..." : json)
+	}
+	if (node.ttl !== undefined) line += node.ttl < 0 ? `  expired ${formatMs(-node.ttl)} ago` : `  ttl ${formatMs(node.ttl)}`
+	else if (node.expired) line += "  expired"
+	const lines = [line]
+	const children = node.children || []
+	children.forEach((child, i) => {
+		const last = i === children.length - 1
+		lines.push(...renderNode(child, prefix + (last ? "└─ " : "├─ "), prefix + (last ? "   " : "│  "), false))
+	})
+	return lines
+}
+
+/** Format a duration, e.g. "1h 2m", "2m 5s" or "59s" */
+let formatMs = function(ms) {
+	const seconds = Math.floor(ms / 1000)
+	if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m`
+	if (seconds >= 60) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+	return `${seconds}s`
+}
+
+/**
+ * Recursively compare two trees of values
+ * @returns {Object} `{ added, changed, removed }` lists of parsed paths
+ */
+let diffValues = function(a, b, parsedPath, idAttr, changes = { added: [], changed: [], removed: [] }) {
+	if (a === b) return changes
+	const aIsContainer = isContainer(a)
+	const bIsContainer = isContainer(b)
+	if (a === undefined) {
+		changes.added.push(parsedPath)
+	} else if (b === undefined) {
+		changes.removed.push(parsedPath)
+	} else if (!aIsContainer || !bIsContainer || Array.isArray(a) !== Array.isArray(b)) {
+		const sameDate = a instanceof Date && b instanceof Date && a.getTime() === b.getTime()
+		if (!sameDate) changes.changed.push(parsedPath)
+	} else if (Array.isArray(a)) {
+		const last = parsedPath[parsedPath.length - 1]
+		if (!last || last.id !== undefined || last.index !== undefined) {
+			// Arrays in arrays cannot be addressed by a path. Compare them as a whole.
+			if (JSON.stringify(a) !== JSON.stringify(b)) changes.changed.push(parsedPath)
+			return changes
+		}
+		const itemPath = (item, i) => [...parsedPath.slice(0, -1),
+			item && item[idAttr] !== undefined ? { key: last.key, id: item[idAttr] } : { key: last.key, index: i }]
+		const itemsB = new Map(b.map((item, i) => [JSON.stringify(itemPath(item, i)), item]))
+		const keysA = new Set()
+		a.forEach((item, i) => {
+			const p = itemPath(item, i)
+			keysA.add(JSON.stringify(p))
+			diffValues(item, itemsB.get(JSON.stringify(p)), p, idAttr, changes)
+		})
+		b.forEach((item, i) => {
+			const p = itemPath(item, i)
+			if (!keysA.has(JSON.stringify(p))) diffValues(undefined, item, p, idAttr, changes)
+		})
+	} else {
+		const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+		keys.forEach(key => diffValues(a[key], b[key], [...parsedPath, { key }], idAttr, changes))
+	}
+	return changes
+}
+
+/** Is value an object or array whose children can be compared? */
+let isContainer = function(value) {
+	return value !== null && typeof value === "object" && !(value instanceof Date)
+}
+
+/** The value at parsedPath in the tree of values or undefined */
+let valueAt = function(data, parsedPath, idAttr) {
+	let value = data
+	for (let i = 0; i < parsedPath.length && value !== undefined && value !== null; i++) {
+		const { key, id, index } = parsedPath[i]
+		value = value[key]
+		if (id !== undefined) value = Array.isArray(value) ? value[findIndexById(value, id, idAttr)] : undefined
+		else if (index !== undefined) value = Array.isArray(value) ? value[index] : undefined
+	}
+	return value
+}
+
+/**
+ * Recursively collect all entries in elem. An entry is a value that has been PUT into the cache, i.e. it has a TTL in its metadata.
+ * @returns {Array} `{ parsedPath, leaf, recency }` of every entry. `leaf` is true when there are no other entries below it.
+ *   `recency` is the latest access of the entry or of any entry below it.
+ */
+let collectEntries = function(elem, metadata, idAttr, parsedPath = []) {
+	const entries = []
+	if (!elem || typeof elem !== "object" || Array.isArray(elem) || !metadata) return entries
+	for (const key of Object.keys(elem)) {
+		const childMetadata = metadata[key]
+		const childPath = [...parsedPath, { key }]
+		let below = []
+		if (Array.isArray(elem[key])) {
+			elem[key].forEach((item, i) => {
+				const itemPath = [...parsedPath, item && item[idAttr] !== undefined ? { key, id: item[idAttr] } : { key, index: i }]
+				const itemMetadata = childMetadata && childMetadata[i]
+				addEntry(itemPath, itemMetadata, collectEntries(item, itemMetadata, idAttr, itemPath), below)
+			})
+		} else {
+			below = collectEntries(elem[key], childMetadata, idAttr, childPath)
+		}
+		addEntry(childPath, childMetadata, below, entries)
+	}
+	return entries
+}
+
+/** Add the entry at parsedPath (if it has a TTL) and the entries below it to entries */
+let addEntry = function(parsedPath, metadata, below, entries) {
+	if (metadata && metadata.ttl !== undefined) {
+		const recency = below.reduce((max, entry) => Math.max(max, entry.recency), metadata.lastAccess || 0)
+		entries.push({ parsedPath, leaf: below.length === 0, recency })
+	}
+	below.forEach(entry => entries.push(entry))
+}
+
+/** Number of entries in a metadata tree, i.e. of the values that have been PUT and therefore have a TTL */
+let countEntries = function(metadata) {
+	if (!metadata || typeof metadata !== "object") return 0
+	let count = !Array.isArray(metadata) && metadata.ttl !== undefined ? 1 : 0
+	for (const key of Object.keys(metadata)) {
+		if (!TRANSIENT_METADATA.includes(key)) count += countEntries(metadata[key])
+	}
+	return count
+}
+
+/** Approximate size of value as a member of its container: its own size plus `"key":` for object properties or a comma for array items */
+let memberSize = function(key, value) {
+	if (value === undefined) return 0
+	return approximateSize(value) + 2 * (typeof key === "string" ? key.length + 4 : 1)
+}
+
+/** Approximate number of bytes that value occupies in memory: two bytes per character of its JSON representation */
+let approximateSize = function(value) {
+	try {
+		return 2 * (JSON.stringify(value) || "").length
+	} catch(err) {
+		return 0  // e.g. circular structure
+	}
+}
+
+/**
+ * Recursively walk through elem and collect all expired elements. Nothing is changed.
+ * Elements below an expired element are not collected.
+ * @returns {Array} `{ parsedPath, value }` of every expired element. Collection members are identified by their id.
+ */
+let collectExpiredElems = function(elem, metadata, idAttr, parsedPath = [], expired = []) {
+	if (!elem || typeof elem !== "object" || !metadata) return expired
+	const now = Date.now()
+	for (const key of Object.keys(elem)) {
+		const childMetadata = metadata[key] || {}
+		if (childMetadata.ttl < now) {
+			expired.push({ parsedPath: [...parsedPath, { key }], value: elem[key] })
+		} else if (Array.isArray(elem[key])) {
+			elem[key].forEach((item, i) => {
+				const itemPath = [...parsedPath, item && item[idAttr] !== undefined ? { key, id: item[idAttr] } : { key, index: i }]
+				const itemMetadata = childMetadata[i] || {}
+				if (itemMetadata.ttl < now) {
+					expired.push({ parsedPath: itemPath, value: item })
+				} else {
+					collectExpiredElems(item, itemMetadata, idAttr, itemPath, expired)
+				}
+			})
+		} else {
+			collectExpiredElems(elem[key], childMetadata, idAttr, [...parsedPath, { key }], expired)
+		}
+	}
+	return expired
+}
+
+/** Properties in the metadata of a value that describe the state of this cache instance only and that are not persisted */
+const TRANSIENT_METADATA = ["pendingWrite", "writeError", "fetchError"]
+
+/** Copy of a metadata tree without the TRANSIENT_METADATA properties */
+let persistableMetadata = function(metadata) {
+	if (Array.isArray(metadata)) return metadata.map(persistableMetadata)
+	if (!metadata || typeof metadata !== "object") return metadata
+	const result = {}
+	for (const key of Object.keys(metadata)) {
+		if (!TRANSIENT_METADATA.includes(key)) result[key] = persistableMetadata(metadata[key])
+	}
+	return result
+}
+
+/**
+ * Call fetch() and retry it `opts.fetchRetries` times when it fails, with a delay of `opts.fetchRetryDelayMs`
+ * that is doubled for every retry. Every call fails when it takes longer than `opts.fetchTimeoutMs`.
+ * The first call is made synchronously.
+ * @returns {Promise} resolves to the result of the first successful call
+ */
+let retryFetch = function(fetch, opts, attempt = 0) {
+	return withTimeout(new Promise(resolve => resolve(fetch())), opts.fetchTimeoutMs).catch(err => {
+		if (attempt >= opts.fetchRetries) return Promise.reject(err)
+		const delay = opts.fetchRetryDelayMs * Math.pow(2, attempt)
+		return new Promise(resolve => setTimeout(resolve, delay)).then(() => retryFetch(fetch, opts, attempt + 1))
+	})
+}
+
+/**
+ * Reject when promise does not settle within timeoutMs. The result of promise is then ignored.
+ * @returns {Promise} promise itself when timeoutMs is 0
+ */
+let withTimeout = function(promise, timeoutMs) {
+	if (!(timeoutMs > 0)) return promise
+	let timer
+	const timeout = new Promise((resolve, reject) => {
+		timer = setTimeout(() => reject(new Error(`Fetch timed out after ${timeoutMs} ms`)), timeoutMs)
+	})
+	return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Recursively collect value and all values below it that have their own TTL, i.e. that have been PUT.
+ * Items of arrays that have been PUT as a whole have no metadata of their own.
+ * @returns {Array} list of `{ parsedPath, value, metadata }`
+ */
+let collectTtlElems = function(value, metadata, parsedPath, idAttr, result = []) {
+	if (!metadata || typeof metadata !== "object") return result
+	if (!Array.isArray(metadata) && metadata.ttl !== undefined) result.push({ parsedPath, value, metadata })
+	if (Array.isArray(value)) {
+		const last = parsedPath[parsedPath.length - 1]
+		if (!Array.isArray(metadata) || last.id !== undefined || last.index !== undefined) return result
+		value.forEach((item, i) => {
+			collectTtlElems(item, metadata[i], [...parsedPath.slice(0, -1), itemPathElem(last.key, item, i, idAttr)], idAttr, result)
+		})
+	} else if (value && typeof value === "object") {
+		for (const key of Object.keys(value)) collectTtlElems(value[key], metadata[key], [...parsedPath, { key }], idAttr, result)
+	}
+	return result
+}
+
+/**
+ * Step from parent into the child container under key. Create it from emptyValue if necessary.
+ * A frozen child is replaced by a shallow copy, so that it can be modified.
+ * Containers that must be frozen after the PUT are collected in refreeze.
+ */
+let stepInto = function(parent, key, emptyValue, refreeze, freeze) {
+	if (!parent[key]) parent[key] = emptyValue
+	return thawChild(parent, key, refreeze, freeze)
+}
+
+/**
+ * Return the child container under key. A frozen child is replaced by a shallow copy, so that it can be modified.
+ * The copy (and with freeze=true also an unfrozen child) is added to refreeze.
+ */
+let thawChild = function(parent, key, refreeze, freeze) {
+	let child = parent[key]
+	if (child && typeof child === "object") {
+		if (Object.isFrozen(child)) {
+			child = parent[key] = Array.isArray(child) ? [...child] : {...child}
+			refreeze.push(child)
+		} else if (freeze) {
+			refreeze.push(child)
+		}
+	}
+	return child
+}
+
+/**
+ * Walk along parsedPath up to the parent of its last element.
+ * step(parent, key) is called to step into each container.
+ * @returns {Object} `{ parent, metaParent }` or undefined when there is no such parent in the cache
+ */
+let walkToParent = function(cacheElem, metadataElem, parsedPath, idAttr, step) {
+	for (let i = 0; i < parsedPath.length - 1; i++) {
+		const { key, id, index } = parsedPath[i]
+		if (!cacheElem || typeof cacheElem !== "object" || !cacheElem[key]) return undefined
+		if (id !== undefined || index !== undefined) {
+			if (!Array.isArray(cacheElem[key])) return undefined
+			const idx = id !== undefined ? findIndexById(cacheElem[key], id, idAttr) : index
+			if (idx < 0 || !cacheElem[key][idx]) return undefined
+			cacheElem = step(step(cacheElem, key), idx)
+			metadataElem = metadataElem && metadataElem[key] && metadataElem[key][idx]
+		} else {
+			cacheElem = step(cacheElem, key)
+			metadataElem = metadataElem && metadataElem[key]
+		}
+	}
+	if (!cacheElem || typeof cacheElem !== "object") return undefined
+	return { parent: cacheElem, metaParent: metadataElem }
+}
+
+/** Index of the element with that id in array or -1 */
+let findIndexById = function(array, id, idAttr) {
+	return array.findIndex((el) => el && el[idAttr] == id)
+}
+
+/** The value that will be stored in the cache when value is PUT over oldValue. */
+let mergeValue = function(oldValue, value, opts) {
+	const result = opts.merge && typeof value === "object" ? {...oldValue, ...value} : value
+	return opts.freeze ? deepFreeze(result) : result
+}
+
+/** Recursively freeze value and all objects and arrays in it. Returns value. */
+let deepFreeze = function(value) {
+	if (value && typeof value === "object" && !Object.isFrozen(value)) {
+		Object.freeze(value)
+		Object.values(value).forEach(deepFreeze)
+	}
+	return value
+}
+
+/**
+ * Copy everything in value that can still be modified in place. Frozen objects are never changed (they are replaced by copies)
+ * and can therefore be shared with the copy.
+ */
+let copyMutable = function(value, copies = new Map()) {
+	if (!value || typeof value !== "object" || Object.isFrozen(value)) return value
+	if (copies.has(value)) return copies.get(value)
+	if (value instanceof Date) return new Date(value.getTime())
+	const copy = Array.isArray(value) ? [] : {}
+	copies.set(value, copy)
+	for (const key of Object.keys(value)) {
+		copy[key] = copyMutable(value[key], copies)
+	}
+	return copy
+}
+
+/**
+ * Coalesce the events of a transaction: Only the latest event for each path is kept. Appends to arrays are not coalesced.
+ * When several values were PUT at the same path, then the oldValue of the first put is kept.
+ * @param {Array} events `{ eventName, path, parsedPath, args }` in the order they occurred
+ * @returns {Array} the coalesced events in the order of their first occurrence
+ */
+let coalesceEvents = function(events) {
+	const byPath = new Map()
+	events.forEach((event, i) => {
+		// Every append to an array is a change of its own
+		const appended = event.parsedPath[event.parsedPath.length - 1].appendArray
+		const pathKey = appended ? i : JSON.stringify(event.parsedPath)
+		const previous = byPath.get(pathKey)
+		if (previous && previous.eventName === "onPut" && event.eventName === "onPut") {
+			event = { ...event, args: [event.args[0], previous.args[1]] }
+		}
+		if (previous && previous.eventName === "onPut" && previous.args[1] === undefined && event.eventName === "onDelete") {
+			// A new value that has been deleted again. Listeners have never seen it.
+			byPath.delete(pathKey)
+			return
 		}
+		byPath.set(pathKey, event)
+	})
+	return [...byPath.values()]
+}
+
+/** Create a deep copy of value. Objects that are referenced several times are only copied once. */
+let deepClone = function(value, copies = new Map()) {
+	if (!value || typeof value !== "object") return value
+	if (copies.has(value)) return copies.get(value)
+	if (value instanceof Date) return new Date(value.getTime())
+	if (value instanceof Error) return value  // e.g. a remembered fetchError. Its message and stack are not enumerable.
+	const copy = Array.isArray(value) ? [] : {}
+	copies.set(value, copy)
+	for (const key of Object.keys(value)) {
+		copy[key] = deepClone(value[key], copies)
 	}
+	return copy
 }
 
 /**
@@ -775,10 +2809,29 @@ const DEFAULT_CONFIG = {
 	// You can also provide an individual fetchFunc to each `get`call.
 	fetchFunc: undefined,
 
+	// Optional function that fetches several values with one backend call. It is used by `populate()` to resolve DBrefs.
+	// fetchManyFunc is called with a list of normalized paths and MUST return a Promise that resolves to
+	// an array with one value for each path (in the same order).
+	fetchManyFunc: undefined,
+
+	// How often a failed call of fetchFunc or fetchManyFunc is retried before get() rejects
+	fetchRetries: 0,
+
+	// Delay before the first retry of a fetch. It is doubled for every further retry.
+	fetchRetryDelayMs: 1000,
+
+	// A call of fetchFunc or fetchManyFunc that does not settle within this number of milliseconds fails. 0 = no timeout
+	fetchTimeoutMs: 0,
+
+	// Remember a failed fetch for this number of milliseconds. Further gets of that path reject immediately with the same error.
+	// 0 = off
+	fetchErrorTtl: 0,
+
 	// Call backend when value in cache is expired (or not there at all)
+	// One of FORCE_BACKEND_CALL = 1, CALL_BACKEND_WHEN_EXPIRED = 0, DO_NOT_CALL_BACKEND = -1 or STALE_WHILE_REVALIDATE = 2
 	callBackend: 0, // = PopulatingCache.CALL_BACKEND_WHEN_EXPIRED
 
-	//TODO: Should get() return cloned values or direct references to the attribute from the cache
+	// Should get(), getSync() and getCacheData() return deep clones instead of direct references to the values in the cache
 	returnClones: false,
 
 	// ===== options for PUT =====
@@ -786,18 +2839,98 @@ const DEFAULT_CONFIG = {
 	// default time to live is 60 seconds
 	ttl: 60 * 1000,
 
+	// TTLs by path pattern, e.g. `{ "users/*": 10 * 60 * 1000, "notifications": 5000 }`. Patterns are the same as for subscribe().
+	// The first rule whose pattern matches the full path of a PUT is used, unless put() is called with an explicit ttl option.
+	// This also applies to values that are fetched from the backend, remember() and population of DBrefs.
+	ttlRules: undefined,
+
 	// Should referenced pathes automatically be resolved and populated by default. This default can be overriden when calling `GET()`.
+	// Can also be a list of property paths, e.g. `["createdBy", "comments.author"]`. Then get() and getSync() additionally populate
+	// the DBrefs at these properties of the returned value.
 	populate: true,
 
+	// Maximum number of nested DBrefs that are resolved, e.g. 1 = populate only the DBrefs in the requested value
+	// but not the DBrefs inside the referenced values.
+	populateDepth: Infinity,
+
 	// Name of _id attribute used when looking up `entity/febb3` or `user/42`
 	idAttr: "_id",
 
 	// Name of the JSON attribute that marks a referenced path (DBRef), e.g. `createdByUser: { $refPath: "users/4711" }`
 	referencedPathAttr: "$refPath",
 
+	// Invalidate values that contain a DBref when the referenced value changes, is deleted or expires, so that they are fetched again.
+	// Listeners of the DBref are notified with `onRefChange(referrerPath, changedPath)` in any case.
+	invalidateReferrers: false,
+
+	// What to do, when DBrefs are circular, e.g. `users/1 -> posts/5 -> users/1`.
+	// false: The inner DBref is left unresolved. true: Throw an Error.
+	throwOnCircularRef: false,
+
 	// Merge object properties into existing values when PUTing
 	merge: false,
 
+	// Deep-freeze values when PUTing, so that values in the cache cannot be modified by accident
+	freeze: false,
+
+	// PUT the server's response into the cache when the mutation of `optimisticPut()` succeeds
+	storeResponse: false,
+
+	// ===== expiry =====
+
+	// Automatically call deleteExpiredElems() every sweepIntervalMs milliseconds. 0 = off
+	sweepIntervalMs: 0,
+
+	// Called after each automatic sweep with the number of deleted elements: `onSweep(count)`
+	onSweep: undefined,
+
+	// ===== size limit =====
+
+	// Maximum number of entries (values that have been PUT) in the cache. The least recently used ones are evicted. 0 = unlimited
+	maxEntries: 0,
+
+	// Approximate maximum size of the cache in bytes. The least recently used entries are evicted. 0 = unlimited
+	maxBytes: 0,
+
+	// ===== statistics =====
+
+	// Optional hook that is called for every counted event of getStats(), e.g. to feed your own monitoring:
+	// `onStats({ stat, path, key, durationMs })` where stat is "hits", "misses", "expiredHits", "backendCalls" or "fetchErrors"
+	onStats: undefined,
+
+	// ===== persistence =====
+
+	// Storage adapter that persists the cache, e.g. `new LocalStorageAdapter(window.localStorage)`. See StorageAdapters.js
+	storage: undefined,
+
+	// Changes are written to the storage at most once within this number of milliseconds
+	persistDebounceMs: 1000,
+
+	// ===== writes to the backend =====
+
+	// Called by `save(path, value)` to save a value in the backend. MUST return a Promise: `saveFunc(normalizedPath, value)`
+	saveFunc: undefined,
+
+	// Called by `destroy(path)` to delete a value in the backend. MUST return a Promise: `deleteFunc(normalizedPath)`
+	deleteFunc: undefined,
+
+	// Optional function that sends all queued write-behinds in one batch: `saveManyFunc([{ path, value }, { path, deleted: true }])`
+	// MUST return a Promise. It may resolve to an array with one response per write.
+	saveManyFunc: undefined,
+
+	// false: save() and destroy() wait for the backend before they change the cache (write-through).
+	// true: The cache is changed immediately and the writes are sent to the backend later (write-behind).
+	writeBehind: false,
+
+	// Write-behinds are collected for this number of milliseconds before they are sent to the backend
+	writeDelayMs: 100,
+
+	// How often a failed write-behind is retried
+	writeRetries: 3,
+
+	// Delay before the first retry. It is doubled for every further retry.
+	writeRetryDelayMs: 1000,
+
 }
 
 /** 
@@ -816,6 +2949,12 @@ const DEFAULT_CONFIG = {
 // eslint-disable-next-line max-len
 const pathElemRegEx = /^(?<key>[a-zA-Z_$][0-9a-zA-Z-_$]*)((\[(?<index>\d+)\])|(?<appendArray>\[\])|(\/(?<idNum>[0-9]+))|(\/(?<id>[0-9a-zA-Z_$][0-9a-zA-Z-_$]*)))?$/
 
+/** Key of a pattern element: "**", "*", "key", "key[index]" or "key[*]" */
+const patternKeyRegEx = /^(?<key>\*\*|\*|[a-zA-Z_$][0-9a-zA-Z-_$]*)(\[(?<index>\d+|\*)\])?$/
+
+/** Id of a pattern element: "*" or an id */
+const patternIdRegEx = /^(\*|[0-9a-zA-Z_$][0-9a-zA-Z-_$]*)$/
+
 
 
 export default PopulatingCache
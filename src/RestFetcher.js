@@ -0,0 +1,43 @@
+import PopulatingCache from "./PopulatingCache"
+
+/**
+ * A fetchFunc for REST backends
+ *
+ * `createRestFetcher()` returns a function that can directly be used as `fetchFunc` of a cache:
+ *
+ *     const cache = new PopulatingCache({ fetchFunc: createRestFetcher({ baseUrl: "https://api.example.com" }) })
+ *
+ * The path of the requested value is converted to an URL with `PopulatingCache.path2rest()`, e.g. `[{posts: 5}, {comments: 42}]` is
+ * fetched with a GET request to `https://api.example.com/posts/5/comments/42`. The response must be JSON.
+ */
+
+/**
+ * Create a fetchFunc that GETs values from a REST backend
+ * @param {Object} options
+ * @param {String} options.baseUrl URL that is prepended to the REST path, e.g. "https://api.example.com" (default "")
+ * @param {Function} options.fetch implementation of the Fetch API (default: the global `fetch`)
+ * @param {Object|Function} options.headers HTTP headers for every request or a function `headers(path)`
+ *   that returns (a Promise of) the headers, e.g. to add a fresh access token
+ * @returns {Function} `fetchFunc(path)` that returns a Promise of the parsed JSON response
+ * @throws when there is no fetch implementation
+ */
+let createRestFetcher = function({ baseUrl = "", fetch = defaultFetch(), headers = {} } = {}) {
+	if (typeof fetch !== "function") throw new Error("createRestFetcher needs a fetch implementation, e.g. window.fetch")
+	const base = baseUrl.replace(/\/+$/, "")
+	return async (path) => {
+		const url = base + PopulatingCache.path2rest(path)
+		const requestHeaders = typeof headers === "function" ? await headers(path) : headers
+		const res = await fetch(url, { method: "GET", headers: { Accept: "application/json", ...requestHeaders } })
+		if (!res.ok) throw new Error(`GET ${url} failed with HTTP status ${res.status} ${res.statusText || ""}`.trim())
+		if (res.status === 204) return undefined
+		return res.json()
+	}
+}
+
+/** The global fetch of the browser or of NodeJS 18+ */
+let defaultFetch = function() {
+	// eslint-disable-next-line no-undef
+	return typeof fetch === "function" ? fetch : undefined
+}
+
+export { createRestFetcher, defaultFetch }
@@ -0,0 +1,123 @@
+/**
+ * Storage adapters for Populating Cache
+ *
+ * A storage adapter persists the content of a cache, so that it survives a page reload.
+ * Pass an adapter as `storage` in the cache's config: `new PopulatingCache({ storage: new LocalStorageAdapter(window.localStorage) })`
+ *
+ * Every adapter implements the same three methods. Each of them may either return its result directly or a Promise.
+ *  - `load()`  returns the stored `{ cacheData, cacheMetadata }` or undefined when nothing was stored yet.
+ *  - `save(state)`  stores `{ cacheData, cacheMetadata }`
+ *  - `clear()`  removes everything that was stored
+ *
+ * The Node file system adapter lives in its own module `FileStorageAdapter.js`, so that browser bundles do not need `fs`.
+ */
+
+/**
+ * Keeps the stored state in memory. The state is copied on every save and load, like a real storage would do.
+ * This is mainly useful for tests.
+ */
+class MemoryStorageAdapter {
+	/**
+	 * @param {Object} initialState optional `{ cacheData, cacheMetadata }` that will be returned by the first `load()`
+	 */
+	constructor(initialState) {
+		this.json = initialState ? JSON.stringify(initialState) : undefined
+	}
+
+	load() {
+		return this.json ? JSON.parse(this.json) : undefined
+	}
+
+	save(state) {
+		this.json = JSON.stringify(state)
+	}
+
+	clear() {
+		this.json = undefined
+	}
+}
+
+/**
+ * Stores the cache as one JSON string in a Web Storage, e.g. `window.localStorage` or `window.sessionStorage`.
+ * Any object with `getItem`, `setItem` and `removeItem` methods can be used.
+ */
+class LocalStorageAdapter {
+	/**
+	 * @param {Object} storage the Web Storage, e.g. `window.localStorage`
+	 * @param {String} key the key under which the cache is stored (default "populating-cache")
+	 */
+	constructor(storage, key = "populating-cache") {
+		if (!storage) throw new Error("LocalStorageAdapter needs a storage, e.g. window.localStorage")
+		this.storage = storage
+		this.key = key
+	}
+
+	load() {
+		const json = this.storage.getItem(this.key)
+		return json ? JSON.parse(json) : undefined
+	}
+
+	save(state) {
+		this.storage.setItem(this.key, JSON.stringify(state))
+	}
+
+	clear() {
+		this.storage.removeItem(this.key)
+	}
+}
+
+/**
+ * Stores the cache in an IndexedDB object store. The database and store are created on first use.
+ * All methods return Promises, because IndexedDB is asynchronous. Wait for `cache.ready` before you rely on restored values.
+ */
+class IndexedDBStorageAdapter {
+	/**
+	 * @param {Object} indexedDB the IDBFactory, e.g. `window.indexedDB`
+	 * @param {String} dbName name of the database (default "populating-cache")
+	 * @param {String} storeName name of the object store in that database (default "cache")
+	 * @param {String} key key of the record in the object store (default "state")
+	 */
+	constructor(indexedDB, dbName = "populating-cache", storeName = "cache", key = "state") {
+		if (!indexedDB) throw new Error("IndexedDBStorageAdapter needs an indexedDB, e.g. window.indexedDB")
+		this.indexedDB = indexedDB
+		this.dbName = dbName
+		this.storeName = storeName
+		this.key = key
+	}
+
+	load() {
+		return this.request("readonly", store => store.get(this.key))
+	}
+
+	save(state) {
+		return this.request("readwrite", store => store.put(state, this.key))
+	}
+
+	clear() {
+		return this.request("readwrite", store => store.delete(this.key))
+	}
+
+	/** Open the database (once) and create the object store if necessary. */
+	openDb() {
+		if (!this.dbPromise) {
+			this.dbPromise = new Promise((resolve, reject) => {
+				const req = this.indexedDB.open(this.dbName, 1)
+				req.onupgradeneeded = () => req.result.createObjectStore(this.storeName)
+				req.onsuccess = () => resolve(req.result)
+				req.onerror = () => reject(req.error)
+			})
+		}
+		return this.dbPromise
+	}
+
+	/** Run one request against the object store in a new transaction */
+	request(mode, createRequest) {
+		return this.openDb().then(db => new Promise((resolve, reject) => {
+			const req = createRequest(db.transaction(this.storeName, mode).objectStore(this.storeName))
+			req.onsuccess = () => resolve(req.result)
+			req.onerror = () => reject(req.error)
+		}))
+	}
+}
+
+export { MemoryStorageAdapter, LocalStorageAdapter, IndexedDBStorageAdapter }
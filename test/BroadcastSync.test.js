@@ -0,0 +1,131 @@
+import PopulatingChache from "../src/PopulatingCache"
+import BroadcastSync from "../src/BroadcastSync"
+
+/**
+ * In-process replacement for a BroadcastChannel, which NodeJS only has since v15.
+ * Like a real one it asynchronously delivers a copy of each message to all other open channels with the same name.
+ */
+const openChannels = []
+class FakeBroadcastChannel {
+	constructor(name) {
+		this.name = name
+		this.listeners = []
+		this.onmessage = null
+		openChannels.push(this)
+	}
+	postMessage(data) {
+		const receivers = openChannels.filter(channel => channel !== this && channel.name === this.name)
+		const copy = JSON.parse(JSON.stringify(data))
+		setTimeout(() => receivers.forEach(channel => channel.deliver({ data: copy })))
+	}
+	deliver(event) {
+		if (!openChannels.includes(this)) return
+		this.listeners.forEach(listener => listener(event))
+		if (this.onmessage) this.onmessage(event)
+	}
+	addEventListener(type, listener) {
+		if (type === "message") this.listeners.push(listener)
+	}
+	removeEventListener(type, listener) {
+		this.listeners = this.listeners.filter(l => l !== listener)
+	}
+	close() {
+		openChannels.splice(openChannels.indexOf(this), 1)
+	}
+}
+
+// Messages are delivered asynchronously
+const nextMessage = () => new Promise(resolve => setTimeout(resolve, 50))
+
+let channelA, channelB, cacheA, cacheB, syncA, syncB
+
+beforeEach(() => {
+	// GIVEN two caches that are synchronized over two BroadcastChannels with the same name
+	channelA = new FakeBroadcastChannel("populating-cache-test")
+	channelB = new FakeBroadcastChannel("populating-cache-test")
+	cacheA = new PopulatingChache()
+	cacheB = new PopulatingChache()
+	syncA = new BroadcastSync(cacheA, channelA)
+	syncB = new BroadcastSync(cacheB, channelB)
+})
+
+afterEach(() => {
+	syncA.close()
+	syncB.close()
+	channelA.close()
+	channelB.close()
+})
+
+test("Put is applied to the other cache with the same TTL", async () => {
+	// WHEN a value is put into one cache
+	cacheA.put("posts/5", {_id: 5, title: "A post"}, {ttl: 5000})
+	await nextMessage()
+
+	// THEN it is also in the other cache with the same expiry time
+	expect(cacheB.getSync("posts/5")).toEqual({_id: 5, title: "A post"})
+	const ttlA = cacheA.getMetadata("posts/5").ttl
+	const ttlB = cacheB.getMetadata("posts/5").ttl
+	expect(Math.abs(ttlB - ttlA)).toBeLessThan(20)
+})
+
+test("Merged values are sent completely", async () => {
+	// GIVEN a value in both caches
+	cacheA.put("posts/5", {_id: 5, title: "t1", text: "x"})
+	await nextMessage()
+
+	// WHEN only one property is merged into it
+	cacheA.put("posts/5", {_id: 5, title: "t2"}, {merge: true})
+	await nextMessage()
+
+	// THEN the other cache has the complete merged value
+	expect(cacheA.getSync("posts/5")).toEqual({_id: 5, title: "t2", text: "x"})
+	expect(cacheB.getSync("posts/5")).toEqual({_id: 5, title: "t2", text: "x"})
+})
+
+test("Deletes and expiries are applied to the other cache", async () => {
+	cacheA.put("one", 1)
+	cacheA.put("two", 2, {ttl: -1})
+	await nextMessage()
+	expect(cacheB.getSync("one")).toBe(1)
+
+	// WHEN a value is deleted and another one expires
+	cacheA.delete("one")
+	cacheA.deleteExpiredElems()
+	await nextMessage()
+
+	// THEN both values are removed from the other cache
+	expect(cacheB.getCacheData()).toEqual({})
+})
+
+test("Changes from the channel are not broadcast again", async () => {
+	// GIVEN a listener on the channel
+	const observer = new FakeBroadcastChannel("populating-cache-test")
+	//eslint-disable-next-line no-unused-vars
+	const onMessage = jest.fn(event => {})
+	observer.onmessage = onMessage
+	const onPut = jest.fn()
+	cacheB.subscribe("", onPut)
+	try {
+		// WHEN a value is put into cache A
+		cacheA.put("key", "value")
+		await nextMessage()
+
+		// THEN cache B applies it and notifies its own listeners, but does not send it back to the channel
+		expect(cacheB.getSync("key")).toBe("value")
+		expect(onPut.mock.calls.length).toBe(1)
+		expect(onMessage.mock.calls.length).toBe(1)
+		expect(onMessage.mock.calls[0][0].data).toMatchObject({type: "put", path: ["key"], value: "value"})
+		expect(cacheA.getSync("key")).toBe("value")
+	} finally {
+		observer.close()
+	}
+})
+
+test("Closed sync neither sends nor applies changes", async () => {
+	syncB.close()
+	cacheA.put("a", 1)
+	cacheB.put("b", 2)
+	await nextMessage()
+	expect(cacheA.getCacheData()).toEqual({a: 1})
+	expect(cacheB.getCacheData()).toEqual({b: 2})
+})
@@ -0,0 +1,69 @@
+import PopulatingChache from "../src/PopulatingCache"
+import { createGraphQLFetcher } from "../src/GraphQLFetcher"
+
+const collections = {
+	posts: { byId: "post", all: "posts", fields: "title", refs: { createdBy: "users", comments: "comments" } },
+	users: { byId: "user", fields: "name" },
+	comments: { byId: "comment", fields: "text", refs: { author: "users" } },
+}
+
+// Fake GraphQL server: answers each query with the data for its root field
+const createFetch = (dataByRootField) => jest.fn((url, init) => {
+	const { query } = JSON.parse(init.body)
+	const rootField = Object.keys(dataByRootField).find(field => query.includes(`{ ${field}(`) || query.includes(`{ ${field} `))
+	const body = rootField ? { data: { [rootField]: dataByRootField[rootField] } } : { errors: [{ message: "Unknown field" }] }
+	return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) })
+})
+
+test("Paths are turned into GraphQL queries", () => {
+	const fetcher = createGraphQLFetcher({ endpoint: "/graphql", fetch: jest.fn(), idField: "id", collections: collections })
+
+	expect(fetcher.buildQuery("posts/5")).toEqual({
+		query: "query($id0: ID!) { post(id: $id0) { id title createdBy { id } comments { id } } }",
+		variables: { id0: 5 },
+	})
+	expect(fetcher.buildQuery("posts").query).toBe("query { posts { id title createdBy { id } comments { id } } }")
+	expect(fetcher.buildQuery([{posts: 5}, {comments: 7}]).query)
+		.toBe("query($id0: ID!, $id1: ID!) { post(id: $id0) { comments(id: $id1) { id text author { id } } } }")
+	expect(fetcher.buildQuery("posts/5.createdBy").query).toBe("query($id0: ID!) { post(id: $id0) { createdBy { id } } }")
+	expect(fetcher.buildQuery("posts/5.title").query).toBe("query($id0: ID!) { post(id: $id0) { title } }")
+	expect(() => fetcher.buildQuery("posts[3]")).toThrow("array indexes")
+})
+
+test("GraphQL responses are unwrapped and references are populated by the cache", async () => {
+	// GIVEN a GraphQL backend with a post that references its author
+	const fetch = createFetch({
+		post: { id: 5, title: "A post", createdBy: { id: 42 }, comments: [{ id: 7 }] },
+		user: { id: 42, name: "Author" },
+	})
+	const fetchFunc = createGraphQLFetcher({
+		endpoint: "https://api.example.com/graphql",
+		fetch: fetch,
+		headers: { Authorization: "Bearer token" },
+		idField: "id",
+		collections: collections,
+	})
+	const cache = new PopulatingChache({ fetchFunc: fetchFunc })
+
+	// WHEN the post is fetched and its author is populated
+	const post = await cache.get("posts/5", { populate: ["createdBy"] })
+
+	// THEN the post is stored with DBrefs and the author has been fetched with a second query
+	expect(cache.getSync("posts/5")).toEqual({
+		_id: 5,
+		title: "A post",
+		createdBy: { $refPath: [{ users: 42 }] },
+		comments: [{ $refPath: [{ comments: 7 }] }],
+	})
+	expect(post.createdBy).toEqual({ _id: 42, name: "Author" })
+	expect(fetch.mock.calls.length).toBe(2)
+	expect(fetch.mock.calls[0][0]).toBe("https://api.example.com/graphql")
+	expect(fetch.mock.calls[0][1].headers.Authorization).toBe("Bearer token")
+	expect(JSON.parse(fetch.mock.calls[1][1].body).variables).toEqual({ id0: 42 })
+})
+
+test("GraphQL errors reject", async () => {
+	const fetchFunc = createGraphQLFetcher({ endpoint: "/graphql", fetch: createFetch({}), collections: collections })
+	await expect(fetchFunc("users/1")).rejects.toThrow("GraphQL error: Unknown field")
+	expect(() => createGraphQLFetcher({ fetch: jest.fn() })).toThrow("endpoint")
+})
@@ -0,0 +1,70 @@
+import http from "http"
+import PopulatingChache from "../src/PopulatingCache"
+import { createRestFetcher } from "../src/RestFetcher"
+
+// A minimal implementation of the Fetch API on top of NodeJS http. Enough for GET requests with JSON responses.
+const nodeFetch = (url, init) => new Promise((resolve, reject) => {
+	http.get(url, { headers: init.headers }, res => {
+		let body = ""
+		res.on("data", chunk => { body += chunk })
+		res.on("end", () => resolve({
+			ok: res.statusCode >= 200 && res.statusCode < 300,
+			status: res.statusCode,
+			statusText: res.statusMessage,
+			json: () => Promise.resolve(JSON.parse(body)),
+		}))
+	}).on("error", reject)
+})
+
+let server
+let baseUrl
+const requests = []
+
+beforeAll(() => new Promise(resolve => {
+	// GIVEN a local REST server
+	server = http.createServer((req, res) => {
+		requests.push({ url: req.url, headers: req.headers })
+		if (req.url === "/posts/5/comments/42") {
+			res.writeHead(200, { "Content-Type": "application/json" })
+			res.end(JSON.stringify({ _id: 42, text: "A comment" }))
+		} else {
+			res.writeHead(404, "Not Found")
+			res.end()
+		}
+	})
+	server.listen(0, "127.0.0.1", () => {
+		baseUrl = `http://127.0.0.1:${server.address().port}/`
+		resolve()
+	})
+}))
+
+afterAll(() => new Promise(resolve => server.close(resolve)))
+
+test("REST fetcher is used as fetchFunc", async () => {
+	const fetchFunc = createRestFetcher({ baseUrl: baseUrl, fetch: nodeFetch, headers: { Authorization: "Bearer token" } })
+	const cache = new PopulatingChache({ fetchFunc: fetchFunc })
+
+	// WHEN a value that is not yet in the cache is requested
+	const comment = await cache.get([{posts: 5}, {comments: 42}])
+
+	// THEN it is fetched from the REST URL and PUT into the cache
+	expect(comment).toEqual({ _id: 42, text: "A comment" })
+	expect(cache.getSync("posts/5.comments/42")).toEqual({ _id: 42, text: "A comment" })
+	const request = requests[requests.length - 1]
+	expect(request.url).toBe("/posts/5/comments/42")
+	expect(request.headers.authorization).toBe("Bearer token")
+})
+
+test("REST fetcher rejects on HTTP errors", async () => {
+	const headers = jest.fn(() => Promise.resolve({ "X-Token": "fresh" }))
+	const fetchFunc = createRestFetcher({ baseUrl: baseUrl, fetch: nodeFetch, headers: headers })
+
+	const url = baseUrl + "users/unknown"
+	await expect(fetchFunc("users/unknown")).rejects.toThrow("GET " + url + " failed with HTTP status 404")
+	expect(headers.mock.calls[0][0]).toBe("users/unknown")
+	expect(requests[requests.length - 1].headers["x-token"]).toBe("fresh")
+})
+
+test("REST fetcher needs a fetch implementation", () => {
+	expect(() => createRestFetcher({ fetch: "not a function" })).toThrow("fetch implementation")
+})
@@ -0,0 +1,221 @@
+import os from "os"
+import path from "path"
+import fs from "fs"
+import PopulatingChache from "../src/PopulatingCache"
+import { MemoryStorageAdapter, LocalStorageAdapter, IndexedDBStorageAdapter } from "../src/StorageAdapters"
+import FileStorageAdapter from "../src/FileStorageAdapter"
+
+test("Cache is restored from storage when it is created", async () => {
+	// GIVEN a storage with a previously saved cache
+	const storage = new MemoryStorageAdapter()
+	const cache = new PopulatingChache({storage: storage})
+	cache.put("posts/5", {_id: 5, title: "A post"})
+	await cache.persist()
+
+	// WHEN a new cache is created with that storage
+	const fetchFunc = jest.fn(() => Promise.reject("Should not be called"))
+	const restoredCache = new PopulatingChache({fetchFunc: fetchFunc, storage: storage})
+	await restoredCache.ready
+
+	// THEN the values and their metadata are available without calling the backend
+	const post = await restoredCache.get("posts/5")
+	expect(post).toEqual({_id: 5, title: "A post"})
+	expect(restoredCache.getMetadata("posts/5").ttl).toBe(cache.getMetadata("posts/5").ttl)
+	expect(fetchFunc.mock.calls.length).toBe(0)
+})
+
+test("Expired elements are not restored from storage", () => {
+	const storage = new MemoryStorageAdapter({
+		cacheData: { fresh: "freshValue", expired: "expiredValue" },
+		cacheMetadata: {
+			fresh: { ttl: Date.now() + 60000, type: "string" },
+			expired: { ttl: 1, type: "string" },
+		}
+	})
+	const cache = new PopulatingChache({storage: storage})
+
+	// A synchronous adapter restores the cache immediately in the constructor
+	expect(cache.getSync("fresh")).toBe("freshValue")
+	expect(cache.getCacheData().expired).toBe(undefined)
+	expect(cache.getMetadata().expired).toBe(undefined)
+})
+
+test("Changes are written to storage debounced", () => {
+	jest.useFakeTimers()
+	try {
+		const storage = new MemoryStorageAdapter()
+		const save = jest.spyOn(storage, "save")
+		const cache = new PopulatingChache({storage: storage, persistDebounceMs: 100})
+
+		// WHEN several values are put shortly after each other
+		cache.put("one", 1)
+		jest.advanceTimersByTime(50)
+		cache.put("two", 2)
+		jest.advanceTimersByTime(50)
+		cache.put("three", 3)
+		expect(save.mock.calls.length).toBe(0)
+
+		// THEN the cache is saved only once after the debounce time
+		jest.advanceTimersByTime(100)
+		expect(save.mock.calls.length).toBe(1)
+		expect(storage.load().cacheData).toEqual({one: 1, two: 2, three: 3})
+	} finally {
+		jest.useRealTimers()
+	}
+})
+
+test("LocalStorageAdapter saves cache as JSON in a Web Storage", async () => {
+	// GIVEN a minimal Web Storage
+	const items = {}
+	const webStorage = {
+		getItem: (key) => items[key] === undefined ? null : items[key],
+		setItem: (key, value) => { items[key] = value },
+		removeItem: (key) => { delete items[key] },
+	}
+	const cache = new PopulatingChache({storage: new LocalStorageAdapter(webStorage, "myCache")})
+	cache.put("parent.child", "value")
+	await cache.persist()
+	expect(JSON.parse(items["myCache"]).cacheData).toEqual({parent: {child: "value"}})
+
+	const restoredCache = new PopulatingChache({storage: new LocalStorageAdapter(webStorage, "myCache")})
+	expect(restoredCache.getSync("parent.child")).toBe("value")
+})
+
+/** Minimal in-memory IDBFactory. Requests succeed asynchronously like real IndexedDB requests. Values are copied as JSON. */
+let createFakeIndexedDB = function() {
+	const databases = {}
+	// Create a request that succeeds with the result of getResult
+	const request = (getResult) => {
+		const req = {}
+		setTimeout(() => {
+			req.result = getResult()
+			req.onsuccess()
+		})
+		return req
+	}
+	return {
+		databases,
+		open: (name) => {
+			const req = {}
+			setTimeout(() => {
+				const isNew = !databases[name]
+				if (isNew) databases[name] = {}
+				const stores = databases[name]
+				req.result = {
+					createObjectStore: (storeName) => { stores[storeName] = {} },
+					transaction: (storeName) => ({
+						objectStore: () => {
+							const store = stores[storeName]
+							return {
+								get: (key) => request(() => store[key] === undefined ? undefined : JSON.parse(store[key])),
+								put: (value, key) => request(() => {
+									store[key] = JSON.stringify(value)
+									return key
+								}),
+								delete: (key) => request(() => { delete store[key] }),
+							}
+						},
+					}),
+				}
+				if (isNew) req.onupgradeneeded()
+				req.onsuccess()
+			})
+			return req
+		},
+	}
+}
+
+test("IndexedDBStorageAdapter saves cache in an object store", async () => {
+	// GIVEN a cache that is stored in an IndexedDB
+	const indexedDB = createFakeIndexedDB()
+	const adapter = new IndexedDBStorageAdapter(indexedDB, "myDb", "myStore")
+	expect(await adapter.load()).toBe(undefined)
+	const cache = new PopulatingChache({storage: adapter})
+	await cache.ready
+	cache.put("posts/5", {_id: 5, title: "A post"})
+	await cache.persist()
+	expect(indexedDB.databases.myDb.myStore.state).toBeDefined()
+
+	// WHEN a new cache is created with that database
+	const restoredCache = new PopulatingChache({storage: new IndexedDBStorageAdapter(indexedDB, "myDb", "myStore")})
+	await restoredCache.ready
+
+	// THEN the values are restored
+	expect(restoredCache.getSync("posts/5")).toEqual({_id: 5, title: "A post"})
+
+	// WHEN the storage is cleared THEN nothing is loaded anymore
+	await adapter.clear()
+	expect(await adapter.load()).toBe(undefined)
+	expect(indexedDB.databases.myDb.myStore).toEqual({})
+})
+
+test("FileStorageAdapter saves cache to a JSON file", async () => {
+	const filePath = path.join(os.tmpdir(), "populating-cache-test-" + process.pid + ".json")
+	const adapter = new FileStorageAdapter(filePath)
+	try {
+		expect(adapter.load()).toBe(undefined)
+		const cache = new PopulatingChache({storage: adapter})
+		cache.put(["users/u1"], {_id: "u1", name: "User One"})
+		await cache.persist()
+		expect(fs.existsSync(filePath)).toBe(true)
+
+		const restoredCache = new PopulatingChache({storage: new FileStorageAdapter(filePath)})
+		expect(restoredCache.getSync("users/u1")).toEqual({_id: "u1", name: "User One"})
+	} finally {
+		await adapter.clear()
+	}
+	expect(fs.existsSync(filePath)).toBe(false)
+})
+
+test("Flags of queued writes are not persisted", async () => {
+	// GIVEN a cache with a write that is still queued in memory AND a failed write
+	const storage = new MemoryStorageAdapter()
+	const saveFunc = jest.fn(() => Promise.reject(new Error("Backend down")))
+	const cache = new PopulatingChache({storage: storage, saveFunc: saveFunc, writeBehind: true, writeDelayMs: 60000})
+	cache.save("posts/1", {_id: 1, title: "queued"}).catch(() => { /* the queue is never flushed */ })
+	cache.put("posts/2", {_id: 2, title: "failed"})
+	cache.getMetadata("posts/2").writeError = "Error: Backend down"
+	expect(cache.getMetadata("posts/1").pendingWrite).toBe(true)
+	await cache.persist()
+
+	// WHEN a new cache is restored from that storage
+	const restoredCache = new PopulatingChache({storage: storage})
+	await restoredCache.ready
+
+	// THEN the values are restored, but they are not reported as pending or failed
+	expect(restoredCache.getSync("posts/1")).toEqual({_id: 1, title: "queued"})
+	expect(restoredCache.getPendingWrites()).toEqual([])
+	expect(restoredCache.getMetadata("posts/1").pendingWrite).toBe(undefined)
+	expect(restoredCache.getMetadata("posts/2").writeError).toBe(undefined)
+	expect(storage.load().cacheMetadata.posts[0].pendingWrite).toBe(undefined)
+
+	// AND flags in a state that has been stored before are dropped, too
+	const oldState = storage.load()
+	oldState.cacheMetadata.posts[0].pendingWrite = true
+	expect(new PopulatingChache({storage: new MemoryStorageAdapter(oldState)}).getMetadata("posts/1").pendingWrite).toBe(undefined)
+	clearTimeout(cache.writeTimer)
+})
+
+test("Remembered fetch failures are not persisted", async () => {
+	// GIVEN a cache that remembers a failed fetch of a missing and of an expired value and is persisted
+	const storage = new MemoryStorageAdapter()
+	const failingFetch = jest.fn(() => Promise.reject(new Error("Backend down")))
+	const cache = new PopulatingChache({fetchFunc: failingFetch, storage: storage, fetchErrorTtl: 60000})
+	cache.put("stale", "old value", {ttl: 60000})
+	cache.getMetadata("stale").ttl = Date.now() - 1
+	await expect(cache.get("x")).rejects.toThrow("Backend down")
+	await expect(cache.get("stale")).rejects.toThrow("Backend down")
+	expect(cache.getMetadata("stale").fetchError).toBeDefined()
+	cache.put("other", "value")
+	await cache.persist()
+	expect(storage.load().cacheMetadata.stale.fetchError).toBe(undefined)
+
+	// WHEN a new cache is restored from that storage
+	const workingFetch = jest.fn(() => Promise.resolve("fetched"))
+	const restoredCache = new PopulatingChache({fetchFunc: workingFetch, storage: storage, fetchErrorTtl: 60000})
+	await restoredCache.ready
+
+	// THEN the failure is not remembered there and the backend is called
+	expect(await restoredCache.get("x")).toBe("fetched")
+	expect(workingFetch.mock.calls.length).toBe(1)
+})
@@ -554,3 +554,1496 @@ test("More complex subscriptions", () => {
 	expect(onPutFoo.mock.calls[0][1]).toBe("bazz222")
 })
 
+
+test("Concurrent GETs of the same path call the backend only once", async () => {
+	// GIVEN a backend that answers asynchronously
+	const value = { _id: 5, title: "A post" }
+	const fetchFunc = jest.fn(() => new Promise(resolve => setTimeout(() => resolve(value), 10)))
+	const cache = new PopulatingChache({fetchFunc: fetchFunc})
+
+	// WHEN several components GET the same (not yet cached) path at the same time, in different path notations
+	const results = await Promise.all([
+		cache.get("posts/5"),
+		cache.get([{posts: 5}]),
+		cache.get({posts: 5}),
+	])
+
+	// THEN the backend is only called once AND every caller receives the value
+	expect(fetchFunc.mock.calls.length).toBe(1)
+	expect(fetchFunc.mock.calls[0][0]).toStrictEqual([{posts: 5}])
+	results.forEach(res => expect(res).toEqual(value))
+
+	// AND a later GET of an expired value calls the backend again
+	cache.getMetadata("posts/5").ttl = 1
+	await cache.get("posts/5")
+	expect(fetchFunc.mock.calls.length).toBe(2)
+})
+
+test("Concurrent GETs share a rejected backend call", async () => {
+	const fetchFunc = jest.fn(() => new Promise((resolve, reject) => setTimeout(() => reject("backend error"), 10)))
+	const cache = new PopulatingChache({fetchFunc: fetchFunc})
+
+	const first = cache.get("foo")
+	const second = cache.get("foo")
+	await expect(first).rejects.toBe("backend error")
+	await expect(second).rejects.toBe("backend error")
+	expect(fetchFunc.mock.calls.length).toBe(1)
+
+	// The failed call is not remembered. Next GET tries again.
+	await expect(cache.get("foo")).rejects.toBe("backend error")
+	expect(fetchFunc.mock.calls.length).toBe(2)
+})
+
+test("DBrefs resolved concurrently are fetched only once", async () => {
+	// GIVEN two comments that reference the same user, who is not yet in the cache
+	const user = { _id: "u1", email: "u1@domain.com" }
+	const fetchFunc = jest.fn((path) => {
+		if (path.length === 1 && path[0].users === "u1") return new Promise(resolve => setTimeout(() => resolve(user), 10))
+		return Promise.reject("Invalid call to backend with path="+JSON.stringify(path))
+	})
+	const cache = new PopulatingChache({fetchFunc: fetchFunc})
+	cache.put("comments/1", { _id: 1, createdBy: { $refPath: "users/u1" } })
+	cache.put("comments/2", { _id: 2, createdBy: { $refPath: "users/u1" } })
+
+	// WHEN both DBrefs are populated at the same time
+	const emails = await Promise.all([
+		cache.get(["comments/1", "createdBy", "email"]),
+		cache.get(["comments/2", "createdBy", "email"]),
+	])
+
+	// THEN the user is only fetched once
+	expect(emails).toEqual(["u1@domain.com", "u1@domain.com"])
+	expect(fetchFunc.mock.calls.length).toBe(1)
+})
+
+test("Stale while revalidate returns expired value and refreshes it in the background", async () => {
+	// GIVEN an expired value in the cache
+	const path = ["fooKey"]
+	const value = { _id: 44, text: "this is comment 44" }
+	const valueNew = { _id: 44, text: "this is updated comment 44" }
+	let resolveBackend
+	const fetchFunc = jest.fn(() => new Promise(resolve => { resolveBackend = resolve }))
+	const cache = new PopulatingChache({fetchFunc: fetchFunc})
+	cache.put(path, value)
+	cache.getMetadata(path).ttl = 1
+	//eslint-disable-next-line no-unused-vars
+	const onPut = jest.fn((path, value) => { /* value has been cached under path */ })
+	cache.subscribe(path, onPut)
+
+	// WHEN it is fetched with STALE_WHILE_REVALIDATE
+	const res = await cache.get(path, {callBackend: cache.STALE_WHILE_REVALIDATE})
+
+	// THEN the stale value is returned immediately AND the backend has been called in the background
+	expect(res).toEqual(value)
+	expect(fetchFunc.mock.calls.length).toBe(1)
+	expect(onPut.mock.calls.length).toBe(0)
+
+	// WHEN the backend answers
+	resolveBackend(valueNew)
+	await cache.pendingFetches[JSON.stringify(path)]
+
+	// THEN the fresh value is in the cache AND subscribers have been notified
+	expect(cache.getSync(path)).toEqual(valueNew)
+	expect(onPut.mock.calls.length).toBe(1)
+	expect(onPut.mock.calls[0][1]).toEqual(valueNew)
+})
+
+test("Stale while revalidate does not block on expired parents", async () => {
+	const postPath = [{posts:11}]
+	const commentTextPath = [{posts:11}, "comments[0]", "text"]
+	const postValue = { _id:11, comments: [{ _id: 4711, text: "This is a comment" }] }
+	const postValueNew = { _id:11, comments: [{ _id: 4711, text: "This is an updated comment" }] }
+	const fetchFunc = jest.fn(() => Promise.resolve(postValueNew))
+	const cache = new PopulatingChache({fetchFunc: fetchFunc, callBackend: 2})
+	cache.put(postPath, postValue)
+	cache.getMetadata(postPath).ttl = 1
+
+	// Expired post is returned from the cache and refreshed in the background
+	const res = await cache.get(commentTextPath)
+	expect(res).toEqual("This is a comment")
+	expect(fetchFunc.mock.calls.length).toBe(1)
+	expect(fetchFunc.mock.calls[0][0]).toEqual(postPath)
+
+	// Next GET receives the refreshed value without calling the backend again
+	await cache.pendingFetches[JSON.stringify(postPath)]
+	const res2 = await cache.get(commentTextPath)
+	expect(res2).toEqual("This is an updated comment")
+	expect(fetchFunc.mock.calls.length).toBe(1)
+})
+
+test("Stale while revalidate fetches values that are not yet in the cache", async () => {
+	const fetchFunc = jest.fn(() => Promise.resolve("valueFromBackend"))
+	const cache = new PopulatingChache({fetchFunc: fetchFunc, callBackend: 2})
+	const res = await cache.get("notYetCached")
+	expect(res).toEqual("valueFromBackend")
+	expect(fetchFunc.mock.calls.length).toBe(1)
+})
+
+test("returnClones returns deep copies of cached values", async () => {
+	// GIVEN a cache that returns clones AND a comment that references a user
+	const fetchFunc = jest.fn(() => Promise.reject("Should not be called in returnClones test."))
+	const cache = new PopulatingChache({fetchFunc: fetchFunc, returnClones: true})
+	cache.put("comments/1", { _id: 1, text: "A comment", tags: ["one"], createdBy: { $refPath: "users/u1" } })
+	cache.put("users/u1", { _id: "u1", name: "User One" })
+
+	// WHEN the returned values are modified
+	const comment = await cache.get("comments/1")
+	comment.text = "changed"
+	comment.tags.push("two")
+	cache.getSync("comments/1").text = "changed again"
+	cache.getCacheData().comments[0].text = "changed via cacheData"
+	const populated = await cache.populate([comment], "createdBy")
+	populated[0].createdBy.name = "changed user"
+
+	// THEN the values in the cache are not changed
+	expect(cache.getSync("comments/1")).toEqual({ _id: 1, text: "A comment", tags: ["one"], createdBy: { $refPath: "users/u1" } })
+	expect(cache.getSync("users/u1").name).toBe("User One")
+	expect(populated[0].createdBy).not.toBe(cache.getCacheData().users[0])
+})
+
+test("Frozen values cannot be modified", async () => {
+	// GIVEN a cache that freezes values
+	const fetchFunc = jest.fn(() => Promise.reject("Should not be called in freeze test."))
+	const cache = new PopulatingChache({fetchFunc: fetchFunc, freeze: true})
+	cache.put("posts/5", { _id: 5, title: "A post", tags: ["one"] })
+
+	// WHEN a returned value is modified THEN this throws
+	const post = await cache.get("posts/5")
+	expect(Object.isFrozen(post)).toBe(true)
+	expect(() => { post.title = "changed" }).toThrow()
+	expect(() => { post.tags.push("two") }).toThrow()
+	expect(() => { cache.getCacheData().posts.push({ _id: 6 }) }).toThrow()
+
+	// BUT values can still be PUT below a frozen value
+	cache.put(["posts/5", "title"], "New title")
+	cache.put("posts/6", { _id: 6, title: "Another post" })
+	expect(cache.getSync("posts/5")).toEqual({ _id: 5, title: "New title", tags: ["one"] })
+	expect(Object.isFrozen(cache.getSync("posts/5"))).toBe(true)
+	expect(Object.isFrozen(cache.getCacheData().posts)).toBe(true)
+	expect(cache.getCacheData().posts.length).toBe(2)
+
+	// AND the previously returned reference is unchanged
+	expect(post.title).toBe("A post")
+})
+
+test.each([
+	// path to delete, value that should be deleted, remaining cacheData
+	["parent.child", "childValue", { parent: { other: "otherValue" }, posts: [{_id: 5}, {_id: 6}], arr: ["a", "b"] }],
+	["arr[0]", "a", { parent: { child: "childValue", other: "otherValue" }, posts: [{_id: 5}, {_id: 6}], arr: [undefined, "b"] }],
+	["posts/5", {_id: 5}, { parent: { child: "childValue", other: "otherValue" }, posts: [{_id: 6}], arr: ["a", "b"] }],
+	["notInCache.child", undefined, { parent: { child: "childValue", other: "otherValue" }, posts: [{_id: 5}, {_id: 6}], arr: ["a", "b"] }],
+])("Delete %j from the cache", (path, deletedValue, expectedCacheData) => {
+	// GIVEN a cache with some values AND a global listener
+	const cache = new PopulatingChache()
+	cache.put("parent.child", "childValue")
+	cache.put("parent.other", "otherValue")
+	cache.put("posts/5", {_id: 5})
+	cache.put("posts/6", {_id: 6})
+	cache.put("arr", ["a", "b"])
+	//eslint-disable-next-line no-unused-vars
+	const onPut = jest.fn((path, value) => { /* value has been cached under path */ })
+	//eslint-disable-next-line no-unused-vars
+	const onDelete = jest.fn((path, deletedValue) => { /* value has been deleted */ })
+	cache.subscribe("", onPut, false, onDelete)
+
+	// WHEN deleting a value
+	const res = cache.delete(path)
+
+	// THEN the value has been removed
+	expect(res).toEqual(deletedValue)
+	expect(cache.getCacheData()).toEqual(expectedCacheData)
+	expect(cache.isInCache(path)).toBe(false)
+	// AND only onDelete has been called, if there was a value
+	expect(onPut.mock.calls.length).toBe(0)
+	if (deletedValue === undefined) {
+		expect(onDelete.mock.calls.length).toBe(0)
+	} else {
+		expect(onDelete.mock.calls.length).toBe(1)
+		expect(onDelete.mock.calls[0][0]).toBe(path)
+		expect(onDelete.mock.calls[0][1]).toEqual(deletedValue)
+	}
+})
+
+test("Delete a collection member also removes its metadata", () => {
+	const cache = new PopulatingChache()
+	cache.put("posts/5", {_id: 5, title: "five"})
+	cache.put("posts/6", {_id: 6, title: "six"})
+	cache.put(["posts/7", "title"], "seven")
+	cache.getMetadata("posts/6").ttl = 1
+
+	cache.delete("posts/5")
+
+	expect(cache.getCacheData().posts).toEqual([{_id: 6, title: "six"}, {_id: 7, title: "seven"}])
+	expect(cache.getMetadata("posts").length).toBe(2)
+	expect(cache.getMetadata("posts/6").ttl).toBe(1)
+	expect(cache.getSync("posts/7.title")).toBe("seven")
+})
+
+test("Listener object is notified about puts, deletes, expired values and fetch errors", async () => {
+	// GIVEN a listener object subscribed to posts
+	const fetchFunc = jest.fn(() => Promise.reject("backend error"))
+	const cache = new PopulatingChache({fetchFunc: fetchFunc})
+	const listener = {
+		//eslint-disable-next-line no-unused-vars
+		onPut: jest.fn((path, value, oldValue, normalizedPath) => { /* value has been cached */ }),
+		//eslint-disable-next-line no-unused-vars
+		onDelete: jest.fn((path, deletedValue, normalizedPath) => { /* value has been deleted */ }),
+		//eslint-disable-next-line no-unused-vars
+		onExpire: jest.fn((path, expiredValue, normalizedPath) => { /* value has expired */ }),
+		//eslint-disable-next-line no-unused-vars
+		onFetchError: jest.fn((path, error, normalizedPath) => { /* backend call failed */ }),
+	}
+	cache.subscribe("posts", listener)
+
+	// WHEN a value is put and then replaced
+	cache.put("posts/5", {_id: 5, title: "first"})
+	cache.put("posts/5", {_id: 5, title: "second"})
+	// THEN onPut receives the new and the old value and the normalized path
+	expect(listener.onPut.mock.calls.length).toBe(2)
+	expect(listener.onPut.mock.calls[1]).toEqual(["posts/5", {_id: 5, title: "second"}, {_id: 5, title: "first"}, [{posts: 5}], []])
+
+	// WHEN a value is deleted
+	cache.put("posts/6", {_id: 6})
+	cache.delete("posts/6")
+	expect(listener.onDelete.mock.calls).toEqual([["posts/6", {_id: 6}, [{posts: 6}], []]])
+
+	// WHEN a value expires and expired values are deleted
+	cache.getMetadata("posts/5").ttl = 1
+	cache.put("otherKey", "not posts")
+	cache.getMetadata("otherKey").ttl = 1
+	const count = cache.deleteExpiredElems()
+	// THEN onExpire is only called for the matching path
+	expect(count).toBe(2)
+	expect(listener.onExpire.mock.calls).toEqual([[[{posts: 5}], {_id: 5, title: "second"}, [{posts: 5}], []]])
+	expect(cache.getCacheData().posts).toEqual([])
+
+	// WHEN the backend call fails
+	await expect(cache.get("posts/7")).rejects.toBe("backend error")
+	// THEN onFetchError is called
+	expect(listener.onFetchError.mock.calls).toEqual([[[{posts: 7}], "backend error", [{posts: 7}], []]])
+})
+
+test("Listener object respects exact subscriptions", () => {
+	const cache = new PopulatingChache()
+	//eslint-disable-next-line no-unused-vars
+	const onPut = jest.fn((path, value) => { /* value has been cached under path */ })
+	const subscription = cache.subscribe("one.two", { onPut: onPut }, true)
+	cache.put("one.two.three", "below")
+	cache.put("one.other", "sibling")
+	cache.put("one.two", "exact")
+	expect(onPut.mock.calls.length).toBe(1)
+	expect(onPut.mock.calls[0][1]).toBe("exact")
+
+	cache.unsubscribe(subscription)
+	cache.put("one.two", "unsubscribed")
+	expect(onPut.mock.calls.length).toBe(1)
+})
+
+test("populate() fetches all missing DBrefs with one call to fetchManyFunc", async () => {
+	// GIVEN 50 posts that reference 5 users. User 1 is cached, user 2 is expired and the others are not in the cache yet
+	const fetchFunc = jest.fn((path) => Promise.reject("fetchFunc should not be called: "+JSON.stringify(path)))
+	const fetchManyFunc = jest.fn((paths) => Promise.resolve(paths.map(path => ({ _id: path[0].users, name: "fetched" }))))
+	const cache = new PopulatingChache({fetchFunc: fetchFunc, fetchManyFunc: fetchManyFunc})
+	for (let i = 0; i < 50; i++) {
+		cache.put("posts[]", { _id: i, createdBy: { $refPath: "users/" + (i % 5 + 1) } })
+	}
+	cache.put("users/1", { _id: 1, name: "cached" })
+	cache.put("users/2", { _id: 2, name: "expired" })
+	cache.getMetadata("users/2").ttl = 1
+
+	// WHEN the DBrefs are populated
+	const posts = await cache.get("posts", { returnClones: true })
+	const populated = await cache.populate(posts, "createdBy")
+
+	// THEN the backend has been called only once with the expired and missing users
+	expect(fetchManyFunc.mock.calls.length).toBe(1)
+	expect(fetchManyFunc.mock.calls[0][0]).toEqual([[{users: 3}], [{users: 4}], [{users: 5}], [{users: 2}]])
+	expect(fetchFunc.mock.calls.length).toBe(0)
+	// AND all DBrefs have been substituted
+	expect(populated[0].createdBy).toEqual({ _id: 1, name: "cached" })
+	expect(populated[46].createdBy).toEqual({ _id: 2, name: "fetched" })
+	expect(populated[49].createdBy).toEqual({ _id: 5, name: "fetched" })
+	// AND the fetched users are in the cache
+	expect(cache.isInCache("users/3")).toBe(true)
+})
+
+test("populate() rejects when fetchManyFunc returns an invalid result", async () => {
+	const fetchManyFunc = jest.fn(() => Promise.resolve("not an array"))
+	const cache = new PopulatingChache({fetchFunc: () => Promise.reject("not called"), fetchManyFunc: fetchManyFunc})
+	const comments = [{ createdBy: { $refPath: "users/1" } }]
+	await expect(cache.populate(comments, "createdBy")).rejects.toThrow("fetchManyFunc")
+})
+
+test("Least recently used entries are evicted when the cache is full", async () => {
+	// GIVEN a cache for three entries
+	const fetchFunc = jest.fn(() => Promise.reject("Should not be called in eviction test."))
+	const cache = new PopulatingChache({fetchFunc: fetchFunc, maxEntries: 3})
+	//eslint-disable-next-line no-unused-vars
+	const onEvict = jest.fn((path, evictedValue, normalizedPath) => { /* value has been evicted */ })
+	cache.subscribe("", { onEvict: onEvict })
+	cache.put("posts/1", {_id: 1, title: "one"})
+	cache.put("posts/2", {_id: 2, title: "two"})
+	cache.put("key", "value")
+
+	// WHEN post 1 is used AND another value is put
+	await cache.get("posts/1.title")
+	cache.put("posts/3", {_id: 3, title: "three"})
+
+	// THEN post 2, the least recently used one, has been evicted
+	expect(cache.getCacheData().posts).toEqual([{_id: 1, title: "one"}, {_id: 3, title: "three"}])
+	expect(cache.getMetadata("posts").length).toBe(2)
+	expect(onEvict.mock.calls).toEqual([[[{posts: 2}], {_id: 2, title: "two"}, [{posts: 2}], []]])
+
+	// WHEN "key" is used synchronously AND another value is put
+	cache.getSync("key")
+	cache.put("another", "value")
+	// THEN post 1 has been evicted
+	expect(cache.isInCache("posts/1")).toBe(false)
+	expect(cache.isInCache("key")).toBe(true)
+	expect(onEvict.mock.calls.length).toBe(2)
+})
+
+test("Several entries are evicted at once in the order of their last use", async () => {
+	// GIVEN a cache with four posts
+	const cache = new PopulatingChache({fetchFunc: () => Promise.reject("Should not be called in eviction test.")})
+	//eslint-disable-next-line no-unused-vars
+	const onEvict = jest.fn((path, evictedValue, normalizedPath) => { /* value has been evicted */ })
+	cache.subscribe("", { onEvict: onEvict })
+	for (let id = 1; id <= 4; id++) cache.put("posts/" + id, {_id: id})
+	await cache.get("posts/2")
+	await cache.get("posts/1")
+
+	// WHEN the cache may only keep two entries AND another value is put
+	cache.config.maxEntries = 2
+	cache.put("key", "value")
+
+	// THEN the three least recently used posts have been evicted
+	expect(onEvict.mock.calls.map(call => call[0])).toEqual([[{posts: 3}], [{posts: 4}], [{posts: 2}]])
+	expect(cache.getCacheData()).toEqual({posts: [{_id: 1}], key: "value"})
+})
+
+test("Entries are evicted when the cache gets too large", () => {
+	const cache = new PopulatingChache({maxBytes: 150})
+	cache.put("one", "x".repeat(40))
+	cache.put("two", "y".repeat(40))
+	// 2 * 99 characters of JSON are larger than 150 bytes
+	expect(cache.isInCache("one")).toBe(false)
+	expect(cache.getSync("two")).toBe("y".repeat(40))
+
+	// A value that is larger than maxBytes on its own is still stored
+	cache.put("three", "z".repeat(200))
+	expect(cache.getCacheData()).toEqual({three: "z".repeat(200)})
+})
+
+test("The entry count is kept up to date without measuring the whole cache on every put", async () => {
+	// GIVEN a cache with a limit that is not reached
+	const cache = new PopulatingChache({maxEntries: 1000})
+	const measuredEntries = () => {
+		const tracked = cache.usage.entries
+		cache.usage = undefined
+		cache.evictLeastRecentlyUsed()
+		expect(cache.usage.entries).toBe(tracked)
+		return tracked
+	}
+
+	// WHEN values are put, replaced and deleted
+	for (let id = 1; id <= 5; id++) cache.put("posts/" + id, {_id: id, title: "post " + id, comments: []})
+	cache.put("posts/2.comments[]", {_id: 7, text: "appended"})
+	cache.put("posts/3", {_id: 3, title: "replaced"})
+	cache.put("settings", {theme: "dark"})
+	cache.delete("posts/4")
+	// THEN the tracked count is the same as a new measurement
+	expect(measuredEntries()).toBe(6)
+
+	// WHEN a transaction that puts and deletes values fails
+	await expect(cache.transaction(tx => {
+		tx.put("posts/6", {_id: 6})
+		tx.delete("posts/1")
+		tx.put("settings", "replaced")
+		throw new Error("fails")
+	})).rejects.toThrow("fails")
+	// THEN the count is the one from before the transaction
+	expect(measuredEntries()).toBe(6)
+})
+
+test("Sweeper regularly deletes expired elements", () => {
+	jest.useFakeTimers()
+	try {
+		// GIVEN a cache with a sweeper
+		//eslint-disable-next-line no-unused-vars
+		const onSweep = jest.fn((count) => { /* expired elements have been deleted */ })
+		const cache = new PopulatingChache({sweepIntervalMs: 1000, onSweep: onSweep})
+		cache.put("key1", "val1")
+		cache.put("key2", "val2")
+		cache.getMetadata("key2").ttl = 1
+
+		// WHEN the interval has passed THEN the expired element has been deleted
+		jest.advanceTimersByTime(1000)
+		expect(onSweep.mock.calls).toEqual([[1]])
+		expect(cache.getCacheData()).toEqual({key1: "val1"})
+
+		jest.advanceTimersByTime(1000)
+		expect(onSweep.mock.calls).toEqual([[1], [0]])
+
+		// WHEN the cache is disposed THEN the sweeper does not run anymore
+		cache.dispose()
+		jest.advanceTimersByTime(5000)
+		expect(onSweep.mock.calls.length).toBe(2)
+
+		// AND it can be started again
+		cache.startSweeper(500)
+		jest.advanceTimersByTime(500)
+		expect(onSweep.mock.calls.length).toBe(3)
+		cache.stopSweeper()
+		expect(jest.getTimerCount()).toBe(0)
+	} finally {
+		jest.useRealTimers()
+	}
+})
+
+test("Circular DBrefs are left unresolved", async () => {
+	// GIVEN two DBrefs that reference each other AND an entity that references itself
+	const fetchFunc = jest.fn(() => Promise.resolve("valueFromBackend"))
+	const cache = new PopulatingChache({fetchFunc: fetchFunc})
+	cache.put("refA", { $refPath: "refB" })
+	cache.put("refB", { $refPath: "refA" })
+	cache.put("users/1", { _id: 1, $refPath: "users/1" })
+
+	// WHEN populating them THEN the DBref back to the requested path is not resolved
+	expect(await cache.get("refA")).toEqual({ $refPath: "refA" })
+	expect(cache.getSync("refB")).toEqual({ $refPath: "refB" })
+	expect(await cache.populate([{ $refPath: "users/1" }])).toEqual([{ _id: 1, $refPath: "users/1" }])
+	expect(fetchFunc.mock.calls.length).toBe(0)
+})
+
+test("Circular DBrefs throw when configured", async () => {
+	const cache = new PopulatingChache({fetchFunc: () => Promise.reject("not called"), throwOnCircularRef: true})
+	cache.put("refA", { $refPath: "refB" })
+	cache.put("refB", { $refPath: "refA" })
+
+	await expect(cache.get("refA")).rejects.toThrow("Circular DBrefs")
+	expect(() => cache.getSync("refA")).toThrow('["refA"] -> ["refB"] -> ["refA"]')
+})
+
+test("DBrefs back to the requested path are circular", async () => {
+	// GIVEN a post whose author has that post as favorite
+	const cache = new PopulatingChache({fetchFunc: () => Promise.reject("not called")})
+	cache.put("posts/5", { _id: 5, title: "A post", createdBy: { $refPath: "users/1" } })
+	cache.put("users/1", { _id: 1, name: "User One", fav: { $refPath: "posts/5" } })
+
+	// WHEN the post is populated along that cycle THEN the post is not embedded into itself
+	const post = await cache.get("posts/5", { populate: ["createdBy.fav"] })
+	expect(post.createdBy.name).toBe("User One")
+	expect(post.createdBy.fav).toEqual({ $refPath: "posts/5" })
+	expect(cache.getSync("posts/5", { populate: ["createdBy.fav"] }).createdBy.fav).toEqual({ $refPath: "posts/5" })
+
+	// AND it throws when configured
+	cache.config.throwOnCircularRef = true
+	await expect(cache.get("posts/5", { populate: ["createdBy.fav"] })).rejects.toThrow('[{"posts":5}] -> [{"users":1}] -> [{"posts":5}]')
+	expect(() => cache.getSync("posts/5", { populate: ["createdBy.fav"] })).toThrow("Circular DBrefs")
+})
+
+describe("Selective population", () => {
+	const createCache = (options) => {
+		const cache = new PopulatingChache({fetchFunc: () => Promise.reject("not called"), ...options})
+		cache.put("users/u1", { _id: "u1", name: "User One", company: { $refPath: "companies/c1" } })
+		cache.put("users/u2", { _id: "u2", name: "User Two", company: { $refPath: "companies/c1" } })
+		cache.put("companies/c1", { _id: "c1", name: "Company One" })
+		cache.put("posts", [{
+			_id: "p1",
+			createdBy: { $refPath: "users/u1" },
+			comments: [
+				{ text: "first", author: { $refPath: "users/u2" } },
+				{ text: "second", author: { $refPath: "users/u1" } },
+			],
+		}])
+		return cache
+	}
+
+	test("get() populates only the listed properties", async () => {
+		// GIVEN a post with DBrefs in createdBy and in its comments
+		const cache = createCache()
+
+		// WHEN only "createdBy" shall be populated
+		const post = await cache.get("posts/p1", { populate: ["createdBy"] })
+
+		// THEN createdBy is populated, but the comment authors are not
+		expect(post.createdBy.name).toBe("User One")
+		expect(post.comments[0].author).toEqual({ $refPath: "users/u2" })
+
+		// AND the value in the cache is not changed
+		expect(cache.getCacheData().posts[0].createdBy).toEqual({ $refPath: "users/u1" })
+	})
+
+	test("get() fetches the listed DBrefs with one call to fetchManyFunc", async () => {
+		// GIVEN three posts whose authors are not yet in the cache
+		const fetchFunc = jest.fn(() => Promise.reject(new Error("Should not be called")))
+		const fetchManyFunc = jest.fn(paths => Promise.resolve(paths.map(path => ({_id: path[0].users, name: "User " + path[0].users}))))
+		const cache = new PopulatingChache({fetchFunc, fetchManyFunc})
+		cache.put("posts", [1, 2, 3].map(i => ({_id: i, createdBy: {$refPath: "users/" + i}})))
+
+		// WHEN the posts are read with populate: ["createdBy"]
+		const posts = await cache.get("posts", { populate: ["createdBy"] })
+
+		// THEN all authors are fetched in one batch
+		expect(posts.map(post => post.createdBy.name)).toEqual(["User 1", "User 2", "User 3"])
+		expect(fetchManyFunc.mock.calls.length).toBe(1)
+		expect(fetchManyFunc.mock.calls[0][0]).toEqual([[{users: 1}], [{users: 2}], [{users: 3}]])
+		expect(fetchFunc.mock.calls.length).toBe(0)
+	})
+
+	test("Property paths are followed into arrays", () => {
+		const cache = createCache()
+		const post = cache.getSync("posts/p1", { populate: ["comments.author"] })
+		expect(post.createdBy).toEqual({ $refPath: "users/u1" })
+		expect(post.comments.map(comment => comment.author.name)).toEqual(["User Two", "User One"])
+		expect(cache.getCacheData().posts[0].comments[0].author).toEqual({ $refPath: "users/u2" })
+	})
+
+	test("DBrefs along a property path are resolved", async () => {
+		const cache = createCache()
+		const posts = await cache.get("posts", { populate: ["createdBy.company"] })
+		expect(posts[0].createdBy.company.name).toBe("Company One")
+		expect(cache.getSync("users/u1").company).toEqual({ $refPath: "companies/c1" })
+	})
+
+	test("populateDepth limits the levels of nested DBrefs", async () => {
+		const cache = createCache()
+		cache.put("favorite", { $refPath: "posts/p1" })
+
+		// depth 1: only the DBref in the path itself
+		const post = await cache.get("favorite", { populate: ["createdBy"], populateDepth: 1 })
+		expect(post._id).toBe("p1")
+		expect(post.createdBy).toEqual({ $refPath: "users/u1" })
+
+		// depth 2: also the DBrefs at the listed properties, but not deeper
+		const posts = cache.getSync("posts", { populate: ["createdBy.company"], populateDepth: 2 })
+		expect(posts[0].createdBy.name).toBe("User One")
+		expect(posts[0].createdBy.company.name).toBe("Company One")
+		const shallowPosts = cache.getSync("posts", { populate: ["createdBy.company"], populateDepth: 1 })
+		expect(shallowPosts[0].createdBy.company).toEqual({ $refPath: "companies/c1" })
+
+		// depth 0: nothing is populated
+		expect(await cache.get("favorite", { populateDepth: 0 })).toEqual({ $refPath: "posts/p1" })
+	})
+
+	test("populate() accepts a list of property paths", async () => {
+		// GIVEN a configured fetchManyFunc and a list of posts whose authors are not yet in the cache
+		//eslint-disable-next-line no-unused-vars
+		const fetchManyFunc = jest.fn((paths) => Promise.resolve(paths.map(path => ({ _id: path[0].authors, name: "Fetched" }))))
+		const cache = new PopulatingChache({fetchFunc: () => Promise.reject("not called"), fetchManyFunc: fetchManyFunc})
+		const posts = [
+			{ _id: "p1", createdBy: { $refPath: "authors/a1" }, editedBy: { $refPath: "authors/a2" } },
+			{ _id: "p2", createdBy: { $refPath: "authors/a3" }, editedBy: { $refPath: "authors/a4" } },
+		]
+
+		// WHEN populating only createdBy
+		const populated = await cache.populate(posts, ["createdBy"])
+
+		// THEN the listed DBrefs are fetched with one call, the other ones are left alone and posts is not changed
+		expect(fetchManyFunc.mock.calls.length).toBe(1)
+		expect(fetchManyFunc.mock.calls[0][0].length).toBe(2)
+		expect(populated.map(post => post.createdBy.name)).toEqual(["Fetched", "Fetched"])
+		expect(populated[0].editedBy).toEqual({ $refPath: "authors/a2" })
+		expect(posts[0].createdBy).toEqual({ $refPath: "authors/a1" })
+	})
+})
+
+test("Wildcard subscriptions receive the matched values", () => {
+	const cache = new PopulatingChache()
+	cache.put("posts", [{_id: 101, comments: []}, {_id: 102, comments: []}])
+
+	// GIVEN listeners with wildcards
+	//eslint-disable-next-line no-unused-vars
+	const onComment = jest.fn((path, value) => { /* value has been cached under path */ })
+	cache.subscribe("posts/*/comments", onComment)
+	//eslint-disable-next-line no-unused-vars
+	const onUser = jest.fn((path, value) => { /* value has been cached under path */ })
+	cache.subscribe("users/*", onUser, true)
+	//eslint-disable-next-line no-unused-vars
+	const onAuthor = jest.fn((path, value) => { /* value has been cached under path */ })
+	cache.subscribe("**.author", onAuthor, true)
+
+	// WHEN comments are put into different posts
+	cache.put("posts/101.comments", [{text: "first"}])
+	cache.put("posts/102.comments[0]", {text: "second"})
+	cache.put("posts/102.title", "not a comment")
+
+	// THEN the listener receives the matched post ids
+	expect(onComment.mock.calls.length).toBe(2)
+	expect(onComment.mock.calls[0][4]).toEqual([101])
+	expect(onComment.mock.calls[1][0]).toBe("posts/102.comments[0]")
+	expect(onComment.mock.calls[1][4]).toEqual([102])
+
+	// WHEN users are put
+	cache.put("users/u1", {_id: "u1"})
+	cache.put("users/u1.name", "only exact matches")
+	cache.put("users", [])
+	// THEN the exact listener is only notified about the user itself
+	expect(onUser.mock.calls.length).toBe(1)
+	expect(onUser.mock.calls[0][4]).toEqual(["u1"])
+
+	// WHEN authors are put at any depth
+	cache.put("author", "top level")
+	cache.put("posts/101.comments[0].author", "nested")
+	// THEN "**" receives the sub path before "author"
+	expect(onAuthor.mock.calls.map(call => call[4])).toEqual([[[]], [[{posts: 101}, "comments[0]"]]])
+})
+
+test("Wildcards for keys and array indexes", () => {
+	const cache = new PopulatingChache()
+	//eslint-disable-next-line no-unused-vars
+	const listener = jest.fn((path, value) => { /* value has been cached under path */ })
+	cache.subscribe("*.items[*]", listener)
+
+	cache.put("shop.items[]", "appended")
+	cache.put("shop.items", ["a", "b"])
+	cache.put("shop.items[1]", "c")
+
+	expect(listener.mock.calls.length).toBe(1)
+	expect(listener.mock.calls[0][4]).toEqual(["shop", 1])
+	expect(() => cache.subscribe("posts/**", listener)).toThrow("Cannot subscribe")
+})
+
+describe("Transactions", () => {
+	test("Events are deferred and coalesced until the transaction commits", async () => {
+		// GIVEN a cache with a listener
+		const cache = new PopulatingChache()
+		cache.put("posts/1", {_id: 1, title: "old title"})
+		//eslint-disable-next-line no-unused-vars
+		const onPut = jest.fn((path, value, oldValue) => { /* value has been cached under path */ })
+		cache.subscribe("", onPut)
+
+		// WHEN several values are put in a transaction
+		const result = await cache.transaction(tx => {
+			tx.put("posts/1", {_id: 1, title: "new title"})
+			tx.put("posts/1", {_id: 1, title: "newest title"})
+			tx.put("users/u1", {_id: "u1"})
+			expect(onPut.mock.calls.length).toBe(0)
+			return "result"
+		})
+
+		// THEN the listener is notified once per path after the commit
+		expect(result).toBe("result")
+		expect(onPut.mock.calls.length).toBe(2)
+		expect(onPut.mock.calls[0][0]).toBe("posts/1")
+		expect(onPut.mock.calls[0][1]).toEqual({_id: 1, title: "newest title"})
+		expect(onPut.mock.calls[0][2]).toEqual({_id: 1, title: "old title"})
+		expect(onPut.mock.calls[1][0]).toBe("users/u1")
+	})
+
+	test("A new value that is deleted again in the transaction is not notified", async () => {
+		const cache = new PopulatingChache()
+		const listener = { onPut: jest.fn(), onDelete: jest.fn() }
+		cache.subscribe("", listener)
+
+		await cache.transaction(tx => {
+			tx.put("z", "temporary")
+			tx.delete("z")
+			tx.put("kept", "value")
+		})
+
+		expect(listener.onPut.mock.calls.map(call => call[0])).toEqual(["kept"])
+		expect(listener.onDelete.mock.calls.length).toBe(0)
+	})
+
+	test("A failing transaction is rolled back", async () => {
+		// GIVEN a cache with some frozen values and a listener
+		const cache = new PopulatingChache({freeze: true})
+		cache.put("posts", [{_id: 1, title: "first"}])
+		cache.put("counter", 1)
+		const dataBefore = {...cache.getCacheData()}
+		const metadataBefore = JSON.stringify(cache.getMetadata())
+		const listener = { onPut: jest.fn(), onDelete: jest.fn() }
+		cache.subscribe("", listener)
+
+		// WHEN an async transaction rejects after it changed the cache
+		await expect(cache.transaction(async tx => {
+			tx.put("posts/2", {_id: 2, title: "second"})
+			tx.put("counter", 2)
+			await Promise.resolve()
+			tx.delete("posts/1")
+			throw new Error("Transaction failed")
+		})).rejects.toThrow("Transaction failed")
+
+		// THEN cacheData and cacheMetadata are restored and nobody is notified
+		expect(cache.getCacheData()).toEqual(dataBefore)
+		expect(cache.getCacheData().posts[0]).toBe(dataBefore.posts[0])
+		expect(JSON.stringify(cache.getMetadata())).toBe(metadataBefore)
+		expect(listener.onPut.mock.calls.length).toBe(0)
+		expect(listener.onDelete.mock.calls.length).toBe(0)
+
+		// AND the cache can be used as before
+		cache.put("counter", 3)
+		expect(listener.onPut.mock.calls.length).toBe(1)
+	})
+
+	test("New items behind the end of an array are rolled back", async () => {
+		// GIVEN an array that has been put as a whole
+		const cache = new PopulatingChache()
+		cache.put("arr", [1, 2, 3])
+		const metadataBefore = JSON.stringify(cache.getMetadata())
+
+		// WHEN a transaction that changes an item and adds one behind the end fails
+		await expect(cache.transaction(tx => {
+			tx.put("arr[1]", 5)
+			tx.put("arr[5]", 6)
+			throw new Error("rollback")
+		})).rejects.toThrow("rollback")
+
+		// THEN the array has its old length AND its metadata is restored
+		expect(cache.getCacheData()).toEqual({arr: [1, 2, 3]})
+		expect(JSON.stringify(cache.getMetadata())).toBe(metadataBefore)
+	})
+
+	test("Changes outside of a failing transaction are kept", async () => {
+		// GIVEN a running async transaction
+		const cache = new PopulatingChache({fetchFunc: () => Promise.resolve("fetched")})
+		cache.put("posts/1", {_id: 1, title: "post 1"})
+		cache.put("posts/2", {_id: 2, title: "post 2"})
+		cache.put("posts/3", {_id: 3, title: "post 3"})
+		const metadataBefore = JSON.stringify(cache.getMetadata("posts"))
+		const listener = { onPut: jest.fn(), onDelete: jest.fn() }
+		cache.subscribe("", listener)
+		let failTransaction
+		const transaction = cache.transaction(async tx => {
+			tx.delete("posts/1")
+			tx.put("posts/2.title", "changed")
+			tx.put("settings.theme", "dark")
+			await new Promise((resolve, reject) => { failTransaction = reject })
+		})
+
+		// WHEN other values are put and fetched meanwhile
+		cache.put("unrelated", "value")
+		await cache.get("fetchedKey")
+		expect(listener.onPut.mock.calls.map(call => call[0])).toEqual(["unrelated", ["fetchedKey"]])
+
+		// AND then the transaction fails
+		failTransaction(new Error("failed"))
+		await expect(transaction).rejects.toThrow("failed")
+
+		// THEN only the changes of the transaction are rolled back
+		expect(cache.getCacheData()).toEqual({
+			posts: [{_id: 1, title: "post 1"}, {_id: 2, title: "post 2"}, {_id: 3, title: "post 3"}],
+			unrelated: "value",
+			fetchedKey: "fetched",
+		})
+		expect(JSON.stringify(cache.getMetadata("posts"))).toBe(metadataBefore)
+		expect(cache.getMetadata("settings")).toBe(undefined)
+		expect(listener.onPut.mock.calls.length).toBe(2)
+		expect(listener.onDelete.mock.calls.length).toBe(0)
+	})
+
+	test("A failing nested transaction only rolls back its own changes", async () => {
+		const cache = new PopulatingChache()
+		const onPut = jest.fn()
+		cache.subscribe("", onPut)
+
+		await cache.transaction(async tx => {
+			tx.put("outer", "value")
+			await expect(tx.transaction(() => {
+				tx.put("inner", "value")
+				throw new Error("inner failed")
+			})).rejects.toThrow("inner failed")
+			tx.put("posts[]", "one")
+			tx.put("posts[]", "two")
+		})
+
+		expect(cache.getCacheData()).toEqual({outer: "value", posts: ["one", "two"]})
+		expect(onPut.mock.calls.map(call => call[0])).toEqual(["outer", "posts[]", "posts[]"])
+	})
+})
+
+describe("Optimistic updates", () => {
+	test("Failed mutation reverts value and metadata", async () => {
+		// GIVEN a post in the cache and a listener
+		const cache = new PopulatingChache()
+		cache.put("posts/1", {_id: 1, title: "saved title"})
+		cache.put("posts/1.comments", ["a comment"])
+		const metadataBefore = cache.getMetadata("posts/1")
+		//eslint-disable-next-line no-unused-vars
+		const onPut = jest.fn((path, value, oldValue) => { /* value has been cached under path */ })
+		cache.subscribe("posts", onPut)
+
+		// WHEN the post is updated optimistically and the save call fails
+		let rejectSave
+		const saveCall = new Promise((resolve, reject) => { rejectSave = reject })
+		const saving = cache.optimisticPut("posts/1", {_id: 1, title: "edited title"}, saveCall)
+
+		// THEN the new value is available immediately
+		expect(cache.getSync("posts/1").title).toBe("edited title")
+		expect(onPut.mock.calls.length).toBe(1)
+
+		// AND after the failure the previous value and metadata are restored and subscribers are notified
+		rejectSave("save failed")
+		await expect(saving).rejects.toBe("save failed")
+		expect(cache.getSync("posts/1")).toEqual({_id: 1, title: "saved title", comments: ["a comment"]})
+		expect(cache.getMetadata("posts/1")).toBe(metadataBefore)
+		expect(onPut.mock.calls.length).toBe(2)
+		expect(onPut.mock.calls[1][1].title).toBe("saved title")
+		expect(onPut.mock.calls[1][2].title).toBe("edited title")
+	})
+
+	test("Failed mutation of a new value deletes it", async () => {
+		const cache = new PopulatingChache()
+		const onDelete = jest.fn()
+		cache.subscribe("", {onDelete: onDelete})
+		const mutation = jest.fn(() => { throw new Error("network down") })
+
+		await expect(cache.optimisticPut("drafts/d1", {_id: "d1", text: "draft"}, mutation)).rejects.toThrow("network down")
+
+		expect(mutation.mock.calls[0][0]).toEqual({_id: "d1", text: "draft"})
+		expect(cache.getSync("drafts/d1")).toBe(undefined)
+		expect(onDelete.mock.calls.length).toBe(1)
+	})
+
+	test("Newer values are not reverted", async () => {
+		const cache = new PopulatingChache()
+		cache.put("counter", 1)
+		const saving = cache.optimisticPut("counter", 2, () => Promise.reject("failed"))
+		cache.put("counter", 3)
+		await expect(saving).rejects.toBe("failed")
+		expect(cache.getSync("counter")).toBe(3)
+	})
+
+	test("Successful mutation can store the server response", async () => {
+		const cache = new PopulatingChache()
+		const response = {_id: 1, title: "edited title", updatedAt: "2021-01-01"}
+		const mutation = () => Promise.resolve(response)
+
+		expect(await cache.optimisticPut("posts/1", {_id: 1, title: "edited title"}, mutation)).toBe(response)
+		expect(cache.getSync("posts/1").updatedAt).toBe(undefined)
+
+		await cache.optimisticPut("posts/1", {_id: 1, title: "edited title"}, mutation, {storeResponse: true})
+		expect(cache.getSync("posts/1").updatedAt).toBe("2021-01-01")
+	})
+})
+
+describe("Writes to the backend", () => {
+	test("Write-through waits for the backend before the value is PUT", async () => {
+		// GIVEN a saveFunc that resolves later
+		let resolveSave
+		//eslint-disable-next-line no-unused-vars
+		const saveFunc = jest.fn((path, value) => new Promise(resolve => { resolveSave = resolve }))
+		const cache = new PopulatingChache({saveFunc: saveFunc})
+
+		// WHEN a value is saved
+		const saving = cache.save("posts/1", {_id: 1, title: "new post"}, {storeResponse: true})
+
+		// THEN it is not yet in the cache
+		expect(saveFunc.mock.calls[0]).toEqual([[{posts: 1}], {_id: 1, title: "new post"}])
+		expect(cache.getSync("posts/1")).toBe(undefined)
+
+		// AND it is PUT after the backend has saved it. (Here with the server's response.)
+		resolveSave({_id: 1, title: "new post", createdAt: "today"})
+		await saving
+		expect(cache.getSync("posts/1")).toEqual({_id: 1, title: "new post", createdAt: "today"})
+	})
+
+	test("Write-through deletes and failed saves", async () => {
+		//eslint-disable-next-line no-unused-vars
+		const deleteFunc = jest.fn((path) => Promise.resolve())
+		const cache = new PopulatingChache({saveFunc: () => Promise.reject("save failed"), deleteFunc: deleteFunc})
+		cache.put("posts/1", {_id: 1})
+
+		await expect(cache.save("posts/2", {_id: 2})).rejects.toBe("save failed")
+		expect(cache.getSync("posts/2")).toBe(undefined)
+
+		await cache.destroy("posts/1")
+		expect(deleteFunc.mock.calls[0][0]).toEqual([{posts: 1}])
+		expect(cache.getSync("posts/1")).toBe(undefined)
+	})
+
+	test("Write-behind PUTs immediately and sends collapsed writes in one batch", async () => {
+		jest.useFakeTimers()
+		try {
+			// GIVEN a cache in write-behind mode with a saveManyFunc
+			//eslint-disable-next-line no-unused-vars
+			const saveManyFunc = jest.fn((writes) => Promise.resolve())
+			const cache = new PopulatingChache({saveManyFunc: saveManyFunc, writeBehind: true, writeDelayMs: 100})
+			cache.put("posts/3", {_id: 3})
+
+			// WHEN several values are saved and deleted
+			const saved = [
+				cache.save("posts/1", {_id: 1, title: "first"}),
+				cache.save("posts/1", {_id: 1, title: "second"}),
+				cache.save("posts/2", {_id: 2}),
+				cache.destroy("posts/3"),
+			]
+
+			// THEN the cache is changed immediately and the writes are pending
+			expect(cache.getSync("posts/1").title).toBe("second")
+			expect(cache.getSync("posts/3")).toBe(undefined)
+			expect(cache.getMetadata("posts/1").pendingWrite).toBe(true)
+			expect(cache.getPendingWrites().length).toBe(3)
+			expect(saveManyFunc.mock.calls.length).toBe(0)
+
+			// AND after the delay they are sent in one batch
+			jest.advanceTimersByTime(100)
+			await Promise.all(saved)
+			expect(saveManyFunc.mock.calls).toEqual([[[
+				{path: [{posts: 1}], value: {_id: 1, title: "second"}},
+				{path: [{posts: 2}], value: {_id: 2}},
+				{path: [{posts: 3}], deleted: true},
+			]]])
+			expect(cache.getMetadata("posts/1").pendingWrite).toBe(undefined)
+			expect(cache.getPendingWrites()).toEqual([])
+		} finally {
+			jest.useRealTimers()
+		}
+	})
+
+	test("Write-behind retries failed writes", async () => {
+		jest.useFakeTimers()
+		try {
+			// GIVEN a saveFunc that fails twice
+			let failures = 2
+			//eslint-disable-next-line no-unused-vars
+			const saveFunc = jest.fn((path, value) => failures-- > 0 ? Promise.reject("backend down") : Promise.resolve("ok"))
+			const cache = new PopulatingChache({saveFunc: saveFunc, writeBehind: true, writeRetries: 3})
+
+			// WHEN a value is saved
+			const saving = cache.save("counter", 42)
+
+			// THEN it is retried until it succeeds
+			await cache.flushWrites()
+			expect(cache.getPendingWrites()[0].attempts).toBe(1)
+			expect(cache.getMetadata("counter").pendingWrite).toBe(true)
+			await cache.flushWrites()
+			await cache.flushWrites()
+			expect(await saving).toBe("ok")
+			expect(saveFunc.mock.calls.length).toBe(3)
+			expect(cache.getMetadata("counter").pendingWrite).toBe(undefined)
+		} finally {
+			jest.useRealTimers()
+		}
+	})
+
+	test("Write-behind gives up after all retries", async () => {
+		jest.useFakeTimers()
+		try {
+			const cache = new PopulatingChache({saveFunc: () => Promise.reject("backend down"), writeBehind: true, writeRetries: 1})
+			const onWriteError = jest.fn()
+			cache.subscribe("", {onWriteError: onWriteError})
+
+			const saving = cache.save("counter", 42)
+			await cache.flushWrites()
+			await cache.flushWrites()
+
+			await expect(saving).rejects.toBe("backend down")
+			expect(cache.getMetadata("counter").pendingWrite).toBe(undefined)
+			expect(cache.getMetadata("counter").writeError).toBe("backend down")
+			expect(onWriteError.mock.calls[0][0]).toEqual(["counter"])
+			expect(cache.getPendingWrites()).toEqual([])
+			// The value itself stays in the cache
+			expect(cache.getSync("counter")).toBe(42)
+		} finally {
+			jest.useRealTimers()
+		}
+	})
+})
+
+test.each([
+	[[{posts: 5}, {comments: 42}], "/posts/5/comments/42"],
+	["posts/5.comments/42", "/posts/5/comments/42"],
+	[["posts/5", "comments"], "/posts/5/comments"],
+	[{users: "a b"}, "/users/a%20b"],
+	["posts[]", "/posts"],
+])("path2rest(%j) = %s", (path, restPath) => {
+	const cache = new PopulatingChache()
+	expect(cache.path2rest(path)).toBe(restPath)
+})
+
+test("parsePath and path2rest can be used without a cache instance", () => {
+	expect(PopulatingChache.parsePath("posts/5.comments")).toEqual([{ key: "posts", id: 5 }, { key: "comments" }])
+	expect(PopulatingChache.path2rest([{ posts: 5 }, { comments: 42 }])).toBe("/posts/5/comments/42")
+})
+
+test("path2rest cannot convert array indexes", () => {
+	const cache = new PopulatingChache()
+	expect(() => cache.path2rest("posts[3]")).toThrow("array[index]")
+})
+
+test("Statistics count hits, misses, expired hits and backend calls", async () => {
+	// GIVEN a cache with a backend that fails for "broken"
+	//eslint-disable-next-line no-unused-vars
+	const fetchFunc = jest.fn((path) => path[0] === "broken"
+		? Promise.reject("backend error")
+		: Promise.resolve({_id: Object.values(path[0])[0]}))
+	const onStats = jest.fn()
+	const cache = new PopulatingChache({fetchFunc: fetchFunc, onStats: onStats})
+	cache.put("posts/1", {_id: 1})
+	cache.put("users/u1", {_id: "u1"})
+	cache.getMetadata("users/u1").ttl = 1
+
+	// WHEN values are fetched
+	await cache.get("posts/1")             // hit
+	await cache.get("posts/1")             // hit
+	await cache.get("posts/2")             // miss and backend call
+	await cache.get("users/u1")            // expired hit and backend call
+	await expect(cache.get("broken")).rejects.toBe("backend error")  // miss, backend call and error
+
+	// THEN the numbers are counted globally
+	const stats = cache.getStats()
+	expect(stats).toMatchObject({hits: 2, misses: 2, expiredHits: 1, backendCalls: 3, fetchErrors: 1, hitRate: 0.4})
+	expect(stats.avgFetchMs).toBeGreaterThanOrEqual(0)
+
+	// AND per top-level key
+	expect(stats.byKey.posts).toMatchObject({hits: 2, misses: 1, expiredHits: 0, backendCalls: 1, fetchErrors: 0})
+	expect(stats.byKey.users).toMatchObject({hits: 0, misses: 0, expiredHits: 1, backendCalls: 1})
+	expect(stats.byKey.broken.fetchErrors).toBe(1)
+
+	// AND the hook received every event
+	expect(onStats.mock.calls.length).toBe(9)
+	expect(onStats.mock.calls[0][0]).toEqual({stat: "hits", path: [{posts: 1}], key: "posts", durationMs: undefined})
+
+	// WHEN the statistics are reset THEN all counters are zero
+	cache.resetStats()
+	expect(cache.getStats()).toMatchObject({hits: 0, misses: 0, backendCalls: 0, byKey: {}})
+})
+
+test("inspect() merges values and metadata into one tree", () => {
+	// GIVEN a cache with a collection, an expired value and DBrefs
+	const cache = new PopulatingChache({ttl: 60000})
+	cache.put("posts/5", {_id: 5, title: "A post", createdBy: { $refPath: "users/u1" }, editedBy: { $refPath: "users/u2" }})
+	cache.put("users/u1", {_id: "u1", name: "User One"})
+	cache.put("settings", {theme: "dark"})
+	cache.getMetadata("settings").ttl = Date.now() - 5000
+
+	// WHEN the cache is inspected
+	const tree = cache.inspect()
+
+	// THEN each node has its type, TTL and expired flag
+	expect(tree.key).toBe("")
+	expect(tree.children.map(child => child.key)).toEqual(["posts", "users", "settings"])
+	const post = tree.children[0].children[0]
+	expect(post).toMatchObject({key: "posts/5", path: [{posts: 5}], type: "object", expired: false})
+	expect(post.ttl).toBeGreaterThan(50000)
+	expect(post.children.find(child => child.key === "title")).toMatchObject({type: "string", value: "A post", expired: false})
+
+	// AND DBrefs show whether the referenced value is in the cache
+	expect(post.children.find(child => child.key === "createdBy")).toMatchObject({type: "dbref", ref: "users/u1", refInCache: true})
+	expect(post.children.find(child => child.key === "editedBy")).toMatchObject({type: "dbref", ref: "users/u2", refInCache: false})
+
+	// AND children of expired values are expired too
+	const settings = tree.children[2]
+	expect(settings.expired).toBe(true)
+	expect(settings.ttl).toBeLessThan(0)
+	expect(settings.children[0]).toMatchObject({key: "theme", expired: true})
+	expect(settings.children[0].ttl).toBe(undefined)
+
+	// AND a subtree can be inspected
+	expect(cache.inspect("posts/5.title")).toMatchObject({key: "title", path: [{posts: 5}, "title"], value: "A post"})
+	expect(cache.inspect("settings.theme").expired).toBe(true)
+	expect(cache.inspect("unknown")).toBe(undefined)
+})
+
+test("inspectText() renders the tree as text", () => {
+	const cache = new PopulatingChache({ttl: 90000})
+	cache.put("posts/5", {_id: 5, createdBy: { $refPath: "users/u1" }})
+	cache.put("count", 3)
+
+	const lines = cache.inspectText().split("\n")
+	expect(lines[0]).toBe("(cache)  object")
+	expect(lines[1]).toBe("├─ posts  array")
+	expect(lines[2]).toMatch(/^│ {2}└─ posts\/5 {2}object {2}ttl 1m (29|30)s$/)
+	expect(lines[3]).toBe("│     ├─ _id  number 5")
+	expect(lines[4]).toBe('│     └─ createdBy  dbref -> "users/u1" (not in cache)')
+	expect(lines[5]).toMatch(/^└─ count {2}number 3 {2}ttl 1m (29|30)s$/)
+	expect(cache.inspectText("nothing")).toBe('Nothing in the cache at "nothing"')
+})
+
+describe("Snapshots", () => {
+	test("A snapshot does not change when the cache changes", () => {
+		const cache = new PopulatingChache()
+		cache.put("posts/1", {_id: 1, title: "first"})
+		const snap = cache.snapshot()
+
+		cache.put("posts/1.title", "changed")
+		cache.put("users/u1", {_id: "u1"})
+
+		expect(snap.cacheData).toEqual({posts: [{_id: 1, title: "first"}]})
+		expect(Object.isFrozen(snap.cacheData.posts[0])).toBe(true)
+		expect(snap.cacheMetadata.users).toBe(undefined)
+		// The cache itself is not frozen
+		expect(Object.isFrozen(cache.getCacheData().posts[0])).toBe(false)
+	})
+
+	test("diff() lists added, changed and removed paths", async () => {
+		// GIVEN a snapshot of a cache
+		const fetchFunc = jest.fn(() => Promise.resolve({_id: 2, title: "fetched"}))
+		const cache = new PopulatingChache({fetchFunc: fetchFunc})
+		cache.put("posts/1", {_id: 1, title: "first", tags: ["a", "b"]})
+		cache.put("settings", {theme: "dark", lang: "en"})
+		const before = cache.snapshot()
+
+		// WHEN the cache is changed
+		await cache.get("posts/2")
+		cache.put("posts/1.tags[1]", "c")
+		cache.put("settings", {theme: "light"})
+
+		// THEN diff() lists exactly the changed paths
+		expect(cache.diff(before)).toEqual({
+			added: [[{posts: 2}]],
+			changed: [[{posts: 1}, "tags[1]"], ["settings", "theme"]],
+			removed: [["settings", "lang"]],
+		})
+		expect(cache.diff(before, before)).toEqual({added: [], changed: [], removed: []})
+	})
+
+	test("restore() rolls back and notifies listeners", () => {
+		// GIVEN a snapshot
+		const cache = new PopulatingChache()
+		cache.put("posts/1", {_id: 1, title: "first"})
+		cache.put("counter", 1)
+		const snap = cache.snapshot()
+		const listener = { onPut: jest.fn(), onDelete: jest.fn() }
+		cache.subscribe("", listener)
+
+		// AND some changes after it
+		cache.put("posts/1.title", "changed")
+		cache.put("users/u1", {_id: "u1"})
+		cache.delete("counter")
+		listener.onPut.mockClear()
+		listener.onDelete.mockClear()
+
+		// WHEN the snapshot is restored
+		cache.restore(snap)
+
+		// THEN the cache has its old content and metadata
+		expect(cache.getCacheData()).toEqual({posts: [{_id: 1, title: "first"}], counter: 1})
+		expect(cache.getMetadata("users")).toBe(undefined)
+		expect(cache.getMetadata("counter").ttl).toBe(snap.cacheMetadata.counter.ttl)
+		// AND values can be changed again
+		cache.getCacheData().posts[0].title = "modifiable"
+
+		// AND listeners were notified about the differences
+		expect(listener.onDelete.mock.calls.map(call => call[0])).toEqual([["users"]])
+		expect(listener.onPut.mock.calls.map(call => call[0])).toEqual([["counter"], [{posts: 1}, "title"]])
+		expect(listener.onPut.mock.calls[1][1]).toBe("first")
+		expect(listener.onPut.mock.calls[1][2]).toBe("changed")
+	})
+})
+
+describe("TTL rules", () => {
+	const ttlRules = {
+		"users/*": 10 * 60 * 1000,
+		"posts/*/comments": 30 * 1000,
+		"notifications": 5000,
+	}
+
+	test("Fetched and remembered values get the TTL of the first matching rule", async () => {
+		// GIVEN a cache with TTL rules
+		const fetchFunc = jest.fn(path => Promise.resolve(path[0].users ? {_id: path[0].users} : "fetched"))
+		const cache = new PopulatingChache({fetchFunc, ttlRules})
+
+		// WHEN values are fetched from the backend and remembered
+		const now = Date.now()
+		await cache.get("users/u1")
+		await cache.get("settings")
+		await cache.remember("notifications", () => Promise.resolve(["new"]))
+		await cache.remember("posts/5.comments", () => Promise.resolve(["first"]))
+
+		// THEN their TTL is taken from the matching rule or the default TTL
+		const remaining = (path) => cache.getMetadata(path).ttl - now
+		expect(remaining("users/u1")).toBeGreaterThanOrEqual(10 * 60 * 1000)
+		expect(remaining("users/u1")).toBeLessThan(10 * 60 * 1000 + 100)
+		expect(remaining("notifications")).toBeGreaterThanOrEqual(5000)
+		expect(remaining("notifications")).toBeLessThan(5100)
+		expect(remaining("posts/5.comments")).toBeGreaterThanOrEqual(30 * 1000)
+		expect(remaining("posts/5.comments")).toBeLessThan(30 * 1000 + 100)
+		expect(remaining("settings")).toBeGreaterThanOrEqual(60 * 1000)
+		expect(remaining("settings")).toBeLessThan(60 * 1000 + 100)
+	})
+
+	test("Populated DBrefs get the TTL of their rule", async () => {
+		// GIVEN a post that references a user that is not yet in the cache
+		const fetchFunc = jest.fn(() => Promise.resolve({_id: 42, name: "Fetched user"}))
+		const cache = new PopulatingChache({fetchFunc, ttlRules})
+		cache.put("posts/5", {_id: 5, createdBy: {$refPath: "users/42"}})
+
+		// WHEN the post is read with population
+		const now = Date.now()
+		const post = await cache.get("posts/5", { populate: ["createdBy"] })
+
+		// THEN the user is fetched and cached with the TTL of the "users/*" rule
+		expect(post.createdBy.name).toBe("Fetched user")
+		expect(cache.getMetadata("users/42").ttl - now).toBeGreaterThanOrEqual(10 * 60 * 1000)
+	})
+
+	test("An explicit ttl overrides the rules and rules only match the full path", () => {
+		const cache = new PopulatingChache({ttlRules})
+		const now = Date.now()
+		cache.put("users/u1", {_id: "u1"}, {ttl: 1000})
+		cache.put("users/u1.name", "name")
+		expect(cache.getMetadata("users/u1").ttl - now).toBeLessThan(1100)
+		expect(cache.getMetadata("users/u1.name").ttl - now).toBeLessThan(60 * 1000 + 100)
+		expect(cache.getTTL("users/u2")).toBe(10 * 60 * 1000)
+		expect(cache.getTTL("users")).toBe(60 * 1000)
+	})
+
+	test("Invalid rules are rejected", () => {
+		expect(() => new PopulatingChache({ttlRules: {"users/*": "10 minutes"}})).toThrow()
+		expect(() => new PopulatingChache({ttlRules: {"users/a b": 1000}})).toThrow()
+	})
+})
+
+describe("Reverse DBref index", () => {
+	const createCache = (config) => {
+		const cache = new PopulatingChache(config)
+		cache.put("users/42", {_id: 42, name: "User 42"})
+		cache.put("posts/1", {_id: 1, title: "first", createdBy: {$refPath: "users/42"}})
+		cache.put("posts/2", {_id: 2, title: "second", createdBy: {$refPath: "users/7"}, likedBy: [{$refPath: "users/42"}]})
+		cache.put("favorite", {$refPath: ["users/42"]})
+		return cache
+	}
+
+	test("getReferrers() lists the DBrefs that point to a path", () => {
+		const cache = createCache()
+		expect(cache.getReferrers("users/42")).toEqual([
+			[{posts: 1}, "createdBy"],
+			[{posts: 2}, "likedBy[0]"],
+			["favorite"],
+		])
+		// also DBrefs to values below the path
+		expect(cache.getReferrers("users")).toHaveLength(4)
+		expect(cache.getReferrers("users/8")).toEqual([])
+	})
+
+	test("Index is updated when values are put, deleted or replaced", async () => {
+		const cache = createCache()
+
+		// WHEN DBrefs are replaced, removed and added
+		cache.put("posts/1.createdBy", {$refPath: "users/7"})
+		cache.delete("favorite")
+		cache.put("comments[]", {text: "new comment", author: {$refPath: "users/42"}})
+
+		// THEN the index reflects the current DBrefs
+		expect(cache.getReferrers("users/42")).toEqual([[{posts: 2}, "likedBy[0]"], ["comments[0]", "author"]])
+		expect(cache.getReferrers("users/7")).toEqual([[{posts: 2}, "createdBy"], [{posts: 1}, "createdBy"]])
+
+		// AND a rolled back transaction restores the index
+		await expect(cache.transaction(tx => {
+			tx.delete("posts")
+			throw new Error("rollback")
+		})).rejects.toThrow("rollback")
+		expect(cache.getReferrers("users/7")).toHaveLength(2)
+	})
+
+	test("Index is updated when array items are put or deleted by index", () => {
+		// GIVEN posts with ids that have been put as a whole array
+		const cache = new PopulatingChache()
+		cache.put("posts", [
+			{_id: 6, createdBy: {$refPath: "users/1"}},
+			{_id: 7, createdBy: {$refPath: "users/1"}},
+		])
+		expect(cache.getReferrers("users/1")).toEqual([[{posts: 6}, "createdBy"], [{posts: 7}, "createdBy"]])
+
+		// WHEN the first post is replaced by index
+		cache.put("posts[0]", {_id: 8, createdBy: {$refPath: "users/2"}})
+		// THEN the DBref of the replaced post is gone and the new one is indexed by its id
+		expect(cache.getReferrers("users/1")).toEqual([[{posts: 7}, "createdBy"]])
+		expect(cache.getReferrers("users/2")).toEqual([[{posts: 8}, "createdBy"]])
+
+		// WHEN the other post is deleted by index
+		cache.delete("posts[1]")
+		// THEN its DBref is gone, too
+		expect(cache.getReferrers("users/1")).toEqual([])
+	})
+
+	test("Listeners of referring paths are notified when the referenced value changes", () => {
+		// GIVEN a listener on all posts
+		const cache = createCache()
+		const listener = { onPut: jest.fn(), onRefChange: jest.fn() }
+		cache.subscribe("posts", listener)
+
+		// WHEN a referenced user changes
+		cache.put("users/42.name", "changed name")
+
+		// THEN the listener is notified for each DBref in a post that points to that user
+		expect(listener.onPut.mock.calls.length).toBe(0)
+		expect(listener.onRefChange.mock.calls.map(call => call.slice(0, 2))).toEqual([
+			[[{posts: 1}, "createdBy"], [{users: 42}, "name"]],
+			[[{posts: 2}, "likedBy[0]"], [{users: 42}, "name"]],
+		])
+
+		// AND when a referenced user is put for the first time, then nobody is notified
+		cache.put("users/7", {_id: 7, name: "User 7"})
+		expect(listener.onRefChange.mock.calls.length).toBe(2)
+		// but when it is deleted
+		cache.delete("users/7")
+		expect(listener.onRefChange.mock.calls.length).toBe(3)
+		expect(listener.onRefChange.mock.calls[2][0]).toEqual([{posts: 2}, "createdBy"])
+	})
+
+	test("Referring values are invalidated with invalidateReferrers", async () => {
+		// GIVEN a cache that invalidates referrers
+		const fetchFunc = jest.fn(() => Promise.resolve({_id: 1, title: "fetched", createdBy: {$refPath: "users/42"}}))
+		const cache = createCache({fetchFunc, invalidateReferrers: true})
+		expect(cache.isInCache("posts/1")).toBe(true)
+
+		// WHEN the referenced user is changed
+		cache.put("users/42", {_id: 42, name: "changed"})
+
+		// THEN the referring values are expired and fetched again
+		expect(cache.isInCache("posts/1")).toBe(false)
+		expect(cache.isInCache("favorite")).toBe(false)
+		const post = await cache.get("posts/1", { populate: ["createdBy"] })
+		expect(post.title).toBe("fetched")
+		expect(post.createdBy.name).toBe("changed")
+		expect(fetchFunc.mock.calls.length).toBe(1)
+	})
+})
+
+describe("Invalidation", () => {
+	test("Invalidated value stays in the cache but is fetched again", async () => {
+		// GIVEN a value in the cache
+		const fetchFunc = jest.fn(() => Promise.resolve({_id: 5, title: "fresh"}))
+		const cache = new PopulatingChache({fetchFunc})
+		cache.put("posts/5", {_id: 5, title: "old"})
+		const onInvalidate = jest.fn()
+		cache.subscribe("posts", {onInvalidate})
+
+		// WHEN it is invalidated
+		expect(cache.invalidate("posts/5")).toBe(1)
+
+		// THEN it is still in the cache, but reported as expired
+		expect(cache.getCacheData().posts[0].title).toBe("old")
+		expect(cache.isInCache("posts/5")).toBe(false)
+		expect(() => cache.getSync("posts/5", undefined, true)).toThrow()
+		expect(await cache.get("posts/5", {callBackend: cache.STALE_WHILE_REVALIDATE})).toEqual({_id: 5, title: "old"})
+		// AND subscribers are notified
+		expect(onInvalidate.mock.calls).toEqual([[[{posts: 5}], {_id: 5, title: "old"}, [{posts: 5}], []]])
+
+		// AND get() fetches it again
+		await cache.get("posts/5")
+		expect(cache.getSync("posts/5")).toEqual({_id: 5, title: "fresh"})
+		// AND an already expired value is not invalidated twice
+		cache.invalidate("posts/5")
+		expect(cache.invalidate("posts/5")).toBe(0)
+		expect(onInvalidate.mock.calls.length).toBe(2)
+	})
+
+	test("Recursive invalidation also invalidates all values below path", () => {
+		// GIVEN values that have been PUT below "posts"
+		const cache = new PopulatingChache()
+		cache.put("posts/1", {_id: 1, title: "first"})
+		cache.put("posts/2", {_id: 2, title: "second"})
+		cache.put("posts/2.comments", ["comment"])
+		cache.put("settings.theme", "dark")
+
+		// WHEN "posts" is invalidated without and with recursive
+		expect(cache.invalidate("posts")).toBe(0)
+		expect(cache.invalidate("posts", {recursive: true})).toBe(3)
+
+		// THEN all posts and their comments are expired, but nothing else
+		expect(cache.isInCache("posts/1")).toBe(false)
+		expect(cache.isInCache("posts/2.comments")).toBe(false)
+		expect(cache.isInCache("settings.theme")).toBe(true)
+		expect(cache.getMetadata("posts/2.comments").ttl).toBeLessThan(Date.now())
+		expect(cache.invalidate("unknown.path", {recursive: true})).toBe(0)
+	})
+})
+
+describe("Fetch retries, timeouts and remembered failures", () => {
+	const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+	test("Failed fetches are retried with exponential backoff", async () => {
+		// GIVEN a backend that fails twice
+		let failures = 2
+		const fetchFunc = jest.fn(() => failures-- > 0 ? Promise.reject(new Error("Backend down")) : Promise.resolve("value"))
+		const cache = new PopulatingChache({fetchFunc, fetchRetries: 3, fetchRetryDelayMs: 20})
+
+		// WHEN a value is fetched
+		const start = Date.now()
+		const value = await cache.get("key")
+
+		// THEN it is retried after 20 and 40 ms
+		expect(value).toBe("value")
+		expect(fetchFunc.mock.calls.length).toBe(3)
+		expect(Date.now() - start).toBeGreaterThanOrEqual(55)
+		expect(cache.getStats().fetchErrors).toBe(0)
+	})
+
+	test("get() rejects when all retries fail", async () => {
+		const fetchFunc = jest.fn(() => Promise.reject(new Error("Backend down")))
+		const cache = new PopulatingChache({fetchFunc, fetchRetries: 2, fetchRetryDelayMs: 1})
+		await expect(cache.get("key")).rejects.toThrow("Backend down")
+		expect(fetchFunc.mock.calls.length).toBe(3)
+	})
+
+	test("A fetch that takes too long times out", async () => {
+		// GIVEN a backend that never answers
+		//eslint-disable-next-line no-unused-vars
+		const fetchFunc = jest.fn(() => new Promise(resolve => {}))
+		const cache = new PopulatingChache({fetchFunc, fetchTimeoutMs: 20})
+		const onFetchError = jest.fn()
+		cache.subscribe("", {onFetchError})
+
+		// WHEN a value is fetched THEN get() rejects after the timeout
+		await expect(cache.get("key")).rejects.toThrow("timed out")
+		expect(onFetchError.mock.calls.length).toBe(1)
+		expect(cache.pendingFetches).toEqual({})
+	})
+
+	test("Failures are remembered for fetchErrorTtl", async () => {
+		// GIVEN a backend that fails once
+		const error = new Error("Not found")
+		const fetchFunc = jest.fn()
+			.mockImplementationOnce(() => Promise.reject(error))
+			.mockImplementation(() => Promise.resolve({_id: 99, name: "User 99"}))
+		const cache = new PopulatingChache({fetchFunc, fetchErrorTtl: 50})
+		await expect(cache.get("users/99")).rejects.toBe(error)
+
+		// WHEN the value is requested again before fetchErrorTtl has passed
+		// THEN get() rejects with the same error without calling the backend
+		await expect(cache.get("users/99")).rejects.toBe(error)
+		expect(fetchFunc.mock.calls.length).toBe(1)
+		expect(cache.fetchFailures.get('[{"users":99}]').error).toBe(error)
+		// AND a rolled back transaction keeps the remembered error
+		await expect(cache.transaction(() => { throw new Error("rollback") })).rejects.toThrow("rollback")
+		await expect(cache.get("users/99")).rejects.toBe(error)
+
+		// AND after fetchErrorTtl the backend is called again and the failure is forgotten
+		await wait(60)
+		expect(await cache.get("users/99")).toEqual({_id: 99, name: "User 99"})
+		expect(fetchFunc.mock.calls.length).toBe(2)
+		expect(cache.fetchFailures.size).toBe(0)
+	})
+
+	test("A failed refresh of a cached value is remembered in its metadata", async () => {
+		// GIVEN an expired value AND a backend that fails
+		const error = new Error("Backend down")
+		const fetchFunc = jest.fn(() => Promise.reject(error))
+		const cache = new PopulatingChache({fetchFunc, fetchErrorTtl: 60000})
+		cache.put("settings", {theme: "dark"}, {ttl: -1})
+
+		// WHEN the value cannot be refreshed
+		await expect(cache.get("settings")).rejects.toBe(error)
+
+		// THEN the failure is shown in its metadata and in inspect()
+		expect(cache.getMetadata("settings").fetchError.error).toBe(error)
+		expect(cache.inspect("settings").fetchError).toBe(error)
+		expect(cache.fetchFailures.size).toBe(0)
+		// AND further gets reject without calling the backend
+		await expect(cache.get("settings")).rejects.toBe(error)
+		expect(fetchFunc.mock.calls.length).toBe(1)
+		// AND snapshots do not contain it
+		expect(cache.snapshot().cacheMetadata.settings.fetchError).toBe(undefined)
+
+		// WHEN the value is fetched successfully THEN the failure is forgotten
+		fetchFunc.mockImplementation(() => Promise.resolve({theme: "light"}))
+		expect(await cache.get("settings", {callBackend: cache.FORCE_BACKEND_CALL})).toEqual({theme: "light"})
+		expect(cache.getMetadata("settings").fetchError).toBe(undefined)
+	})
+
+	test("A forced backend call ignores a remembered failure", async () => {
+		const fetchFunc = jest.fn()
+			.mockImplementationOnce(() => Promise.reject(new Error("Not found")))
+			.mockImplementation(() => Promise.resolve("value"))
+		const cache = new PopulatingChache({fetchFunc, fetchErrorTtl: 60000})
+		await expect(cache.get("key")).rejects.toThrow("Not found")
+		expect(await cache.get("key", {callBackend: cache.FORCE_BACKEND_CALL})).toBe("value")
+		expect(await cache.get("key")).toBe("value")
+	})
+})